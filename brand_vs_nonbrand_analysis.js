@@ -1,21 +1,45 @@
 /**
  * Brand vs Non-Brand Google Ads Analysis Script
  *
- * Analyzes branded vs non-branded search terms across Search, Performance Max,
- * and Shopping campaigns. Outputs a Google Sheet with raw data tabs and six
- * metric charts (impressions, clicks, cost, conversions, conversion value,
- * cost per conversion) over time, with configurable date range and time
- * granularity (month or week).
+ * Analyzes branded vs non-branded (and optionally competitor) search terms across Search,
+ * Performance Max, and Shopping campaigns (optionally Demand Gen, Display and Video).
+ * Outputs a Google Sheet with raw data tabs and six metric charts (impressions, clicks,
+ * cost, conversions, conversion value, cost per conversion) over time, with configurable
+ * date range and time granularity (day, week, month or quarter; 'day' needs Pmax
+ * Categories off when Pmax is a channel).
  *
  * Pmax: Rows with status EXCLUDED/ADDED_EXCLUDED are skipped. The API often still returns
  * branded terms as ADDED/NONE when excluded in the UI; use PMAX_TREAT_ALL_AS_NON_BRANDED
  * to report all Pmax volume as non-branded when you have excluded branded in the UI.
  *
+ * Comparison: optionally compares the range with the previous period and/or the same period last year
+ * on a "Comparison" tab (see COMPARE_PREVIOUS_PERIOD / COMPARE_YEAR_OVER_YEAR).
+ *
+ * MCC: with MCC_MODE on, run from a manager account to analyse many client accounts, either into
+ * one spreadsheet per client or a single roll-up sheet, plus a cross-account summary tab.
+ *
+ * Summary email: optionally emails an HTML summary of branded vs non-branded performance with sparklines and a
+ * link to the sheet, on every run or only weekly / monthly (see SUMMARY_EMAIL_ENABLED).
+ *
+ * Exports: optionally writes the Raw tab data in long format (one row per channel, period, segment and metric)
+ * as CSV to a Drive folder and/or appends it to a BigQuery table (see EXPORT_CSV / EXPORT_BIGQUERY).
+ *
+ * Core: classification, aggregation, campaign filters, history merging and the Raw / ratio / top terms / N-gram /
+ * cannibalisation / negatives row builders take their settings, classifier and campaign labels as arguments
+ * (see buildConfig and buildClassifier) and use no Google Ads or Sheets service. The rest of the script is the
+ * Google Ads adapter around them; outside Google Ads (Node, a CI job over exported data) require this file
+ * for the core API listed at the end. brand_vs_nonbrand_offline.js uses it to analyse search term exports
+ * (CSV / JSON) without API access.
+ *
  * Required OAuth Scopes:
  * - https://www.googleapis.com/auth/spreadsheets
+ * - https://www.googleapis.com/auth/script.send_mail (only when ALERTS_ENABLED or SUMMARY_EMAIL_ENABLED is on)
+ * - https://www.googleapis.com/auth/drive (only when EXPORT_CSV is on)
+ * - https://www.googleapis.com/auth/bigquery (only when EXPORT_BIGQUERY is on)
  *
  * Usage:
- * 1. Configure SHEET_URL, date range, BRAND_TOKENS, TIME_GRANULARITY, INCLUDE_BY_CAMPAIGN_TYPE
+ * 1. Configure SHEET_URL, date range, BRAND_GROUPS, COMPETITOR_TOKENS, TIME_GRANULARITY, INCLUDE_BY_CAMPAIGN_TYPE
+ *    (or override them from a "Config" tab in the output spreadsheet, see CONFIG_TAB_NAME)
  * 2. Run the script manually or schedule it
  * 3. Check the output in the specified Google Sheet
  */
@@ -28,24 +52,244 @@ const LOOKBACK_DAYS = 90;  // Only used when START_DATE and END_DATE are empty
 const START_DATE = '';     // e.g. '2025-01-01' — set with END_DATE for custom range
 const END_DATE = '';      // e.g. '2026-01-30'
 
-// Use only brand-specific phrases (e.g. "foodsisters"). Avoid single common words like "sister"
-// or they will match generic queries (e.g. "book for sister") and over-count branded.
-const BRAND_TOKENS = [
-  'foodsisters', 'foodsister'
+// Named brand groups (e.g. parent brand, product lines, founder name), each with its own tokens.
+// With more than one group, the Raw tabs and charts show one Branded segment per group.
+// A term matching several groups is counted under the first group listed; unmatched terms are Non-branded.
+//
+// Group fields: name, tokens, exclusions (optional), wholeWord (optional, defaults to BRAND_WHOLE_WORD).
+// Tokens and exclusions are either a string (phrase match) or { text: '...', match: 'exact' | 'phrase' | 'regex' }:
+//   exact  - the whole search term is the token, e.g. { text: 'food sisters', match: 'exact' }
+//   phrase - the token appears anywhere in the term (separators and digit spacing optional)
+//   regex  - case-insensitive regular expression, e.g. { text: '^sisters? (bakery|cakes)', match: 'regex' }
+// A term matching any exclusion is never counted for that group, which lets you keep a common word
+// as a token without over-counting, e.g. tokens ['sister'] with exclusions ['book for sister'].
+// Prefer brand-specific phrases (e.g. "foodsisters") over common words where you can.
+const BRAND_GROUPS = [
+  { name: 'Core brand', tokens: ['foodsisters', 'foodsister'], exclusions: [] }
 ];
 
-const TIME_GRANULARITY = 'month'; // 'month' (default) or 'week'
-const INCLUDE_BY_CAMPAIGN_TYPE = true; // If true, add Raw + Charts tabs for Search, Pmax, Shopping
+// Phrase tokens only match whole words (e.g. "sister" no longer matches "sisterhood").
+// Set per group with wholeWord to override.
+const BRAND_WHOLE_WORD = false;
+
+// Typo- and accent-tolerant matching. Terms that miss every token are compared again after removing
+// accents, spaces/separators and repeated letters ("food sistérs", "fooodsisters"), allowing up to
+// maxEdits typos per token (insertions, deletions, substitutions or swapped letters, e.g. "foodsistres").
+// Set maxEdits per group or per token ({ text: 'foodsisters', maxEdits: 2 }); 0 still matches accent,
+// spacing and repeated-letter variants. Near-matches are listed on the "Brand Misspellings" tab.
+const FUZZY_MATCHING = false;
+const FUZZY_DEFAULT_MAX_EDITS = 1;
+// Guards against false positives: tokens shorter than FUZZY_MIN_TOKEN_LENGTH letters (after compacting)
+// are never fuzzy matched, and a token allows at most one edit per FUZZY_CHARS_PER_EDIT letters.
+const FUZZY_MIN_TOKEN_LENGTH = 6;
+const FUZZY_CHARS_PER_EDIT = 4;
+
+// Competitor names you bid on (e.g. 'rivalbakery'). Matching terms are reported in a Competitor
+// segment instead of Non-branded. Same token format as BRAND_GROUPS. Leave empty to hide the Competitor segment.
+const COMPETITOR_TOKENS = [];
+// Which segment wins when a term matches both a brand and a competitor token
+// (e.g. "foodsisters vs rivalbakery"): 'branded' (default) or 'competitor'.
+const BRAND_AND_COMPETITOR_PRIORITY = 'branded';
+
+// 'day' needs INCLUDE_PMAX_CATEGORIES off when CHANNELS has Pmax (categories take one query per day per campaign).
+const TIME_GRANULARITY = 'month'; // 'day', 'week', 'month' (default) or 'quarter'
+// First day of a week for 'week' granularity. Google Ads weeks start on Monday; any other day fetches daily rows
+// and groups them into weeks in the script, so every data source uses the same weeks.
+const WEEK_START_DAY = 'monday';
+// First and last periods usually cover only part of the date range (flagged "Partial" on the Raw tabs) and look
+// like drops in the charts. 'show' charts them as they are, 'exclude' leaves them out of the charts and
+// 'normalise' charts every period as a daily average so partial periods compare fairly.
+const PARTIAL_PERIODS_IN_CHARTS = 'show';
+const INCLUDE_BY_CAMPAIGN_TYPE = true; // If true, add Raw + Charts tabs for each channel in CHANNELS
+
+// Channels to analyse (see CHANNEL_DEFINITIONS): 'Search', 'Pmax', 'Shopping', 'Demand Gen', 'Display', 'Video'.
+// Search, Pmax and Shopping are classified from search terms, Display and Video from their targeting keywords.
+// Spend that cannot be classified (all of Demand Gen, the non-keyword part of Display / Video) is reported in an
+// "Unclassifiable" segment so Combined totals add up to the channels' spend. Branded shares only count classified volume.
+const CHANNELS = ['Search', 'Pmax', 'Shopping'];
 
 // Pmax: the API returns branded terms as ADDED/NONE even when excluded in the UI.
-// Set true to report all Pmax search-term volume as non-branded (Pmax branded = 0).
-// Set false to classify Pmax terms using BRAND_TOKENS (useful for historical comparison).
+// Set true to report all Pmax search-term volume as non-branded (Pmax branded = 0; competitor terms
+// are still classified as Competitor).
+// Set false to classify Pmax terms using BRAND_GROUPS (useful for historical comparison).
 const PMAX_TREAT_ALL_AS_NON_BRANDED = false;
 
 // Pmax Consumer Spotlight: Add tabs showing category-level data from campaign_search_term_insight.
 // This shows search categories (themes) instead of individual terms. No cost metrics available.
+// Takes one query per period per Pmax campaign, so it can't be combined with 'day' TIME_GRANULARITY.
 const INCLUDE_PMAX_CATEGORIES = true;
 
+// Campaign filters: limit every data source (search terms, Pmax terms, Pmax categories, comparisons) to
+// matching campaigns, e.g. to leave out test or paused regional campaigns. Empty = no filter. A campaign
+// must pass every include filter that is set and is dropped by any exclude filter. Names match case-insensitively.
+const CAMPAIGN_NAME_CONTAINS = [];       // e.g. ['UK'] — name contains any of these
+const CAMPAIGN_NAME_NOT_CONTAINS = [];   // e.g. ['test']
+const CAMPAIGN_NAME_REGEX = '';          // e.g. '^(brand|generic) - '
+const CAMPAIGN_NAME_EXCLUDE_REGEX = '';
+const CAMPAIGN_INCLUDE_LABELS = [];      // has any of these labels
+const CAMPAIGN_EXCLUDE_LABELS = [];
+const CAMPAIGN_STATUSES = [];            // any of 'ENABLED', 'PAUSED', 'REMOVED'
+const CAMPAIGN_IDS = [];                 // e.g. ['1234567890']
+const CAMPAIGN_EXCLUDE_IDS = [];
+
+// By Campaign: a "Raw - By Campaign" tab with each segment's metrics per period and campaign, plus a
+// "Summary - Campaigns" tab ranking campaigns by branded share of cost and conversions. Limit it to matching
+// campaigns with a name pattern (case-insensitive regex) and/or label; a campaign must match every filter set.
+const INCLUDE_BY_CAMPAIGN = false;
+const BY_CAMPAIGN_NAME_PATTERN = '';  // e.g. 'generic|dsa'
+const BY_CAMPAIGN_LABEL = '';         // e.g. 'Brand analysis'
+
+// Reconciliation: a "Reconciliation" tab comparing, per period and channel, the cost the report classifies with
+// the campaigns' actual cost. Search-term views leave out low-volume queries (and Pmax terms only cover search
+// inventory), so the gap is shown as Unattributed Cost with a coverage %. Overall coverage is listed on the Info tab.
+const INCLUDE_RECONCILIATION = false;
+
+// History: keep every period's metrics on a "History" tab (one row per account, period, channel and segment) and
+// build the Raw tabs, charts and alerts from it, so trends can span years. The first run backfills the date range;
+// after that a run only refetches the last HISTORY_REFRESH_PERIODS periods (still settling through conversion
+// lag), plus any periods missed since the last run, and replaces their rows. Term-level tabs (Top Terms, N-grams,
+// By Campaign, ...), Comparison, Reconciliation and Pmax Categories cover only the refetched range; the MCC
+// "Summary - Accounts" tab covers every stored period, like the Raw tabs.
+const USE_HISTORY = false;
+const HISTORY_REFRESH_PERIODS = 2;
+const HISTORY_TAB_NAME = 'History';
+
+// Checkpoints: Ads Scripts stop after 30 minutes. When less than CHECKPOINT_RESERVE_SECONDS remain, the finished
+// work (each channel's data and every Pmax Categories query, one per campaign and period) is saved to a hidden
+// "Checkpoint" tab and the run stops without writing the report. The next run picks up where it stopped, with
+// the same date range, and writes the tabs once everything is done. Changing any setting starts over.
+// Off by default: with Top Terms, N-grams or the campaign tabs on, the saved work includes every channel's term
+// or campaign totals, so turn it on only for accounts whose runs hit the time limit.
+const CHECKPOINT_ENABLED = false;
+const CHECKPOINT_RESERVE_SECONDS = 180;
+const CHECKPOINT_TAB_NAME = 'Checkpoint';
+
+// Comparison: fetch earlier ranges through the same channel queries and add a "Comparison"
+// tab with absolute and % changes per segment and metric, plus charts of current vs prior branded share.
+// Previous period = the same number of days immediately before; year over year = the same dates a year earlier.
+const COMPARE_PREVIOUS_PERIOD = false;
+const COMPARE_YEAR_OVER_YEAR = false;
+
+// Top Terms: a "Top Terms - <channel>" tab for each search-term channel (Search, Pmax, Shopping) listing the TOP_TERMS_COUNT biggest
+// terms of each segment by cost, conversions and impressions, with their share of the segment and their change
+// versus the previous period (fetched automatically when COMPARE_PREVIOUS_PERIOD is off).
+const INCLUDE_TOP_TERMS = false;
+const TOP_TERMS_COUNT = 25;
+
+// N-grams: an "N-grams" tab splitting non-branded search terms (Search, Pmax and Shopping) into 1-, 2- and 3-word
+// phrases with summed metrics, to show which themes make up non-brand and to spot brand variants the
+// brand tokens miss. Phrases starting or ending with a stop word are skipped ("cake for" but not "cake for birthday").
+const INCLUDE_NGRAMS = false;
+const NGRAM_MIN_IMPRESSIONS = 100;
+const NGRAM_STOP_WORDS = ['a', 'an', 'and', 'at', 'by', 'for', 'from', 'in', 'is', 'me', 'near', 'of', 'on', 'or', 'the', 'to', 'with'];
+
+// Cannibalisation: a "Cannibalisation" tab showing, per period and campaign, branded terms landing in non-brand
+// campaigns and non-branded / competitor terms landing in brand campaigns. A campaign is a brand campaign when
+// its name matches BRAND_CAMPAIGN_NAME_PATTERN (case-insensitive regex) or it has the label BRAND_CAMPAIGN_LABEL.
+const INCLUDE_CANNIBALISATION = false;
+const BRAND_CAMPAIGN_NAME_PATTERN = '^brand\\b'; // e.g. 'brand|bkws' — leave empty to use the label only
+const BRAND_CAMPAIGN_LABEL = '';                 // e.g. 'Brand'
+
+// Suggested Negatives: a "Suggested Negatives" tab listing branded terms with spend in non-brand campaigns
+// (same brand campaign rules as Cannibalisation), with a recommended match type and the spend they cost in the
+// range. Bare brand terms ("foodsisters") are suggested as phrase negatives, longer or misspelt terms as exact.
+// Only Search and Shopping campaigns get suggestions: shared negative keyword lists can't be applied to Pmax.
+const INCLUDE_SUGGESTED_NEGATIVES = false;
+// Optionally add the suggestions to an existing shared negative keyword list (attach the list to your non-brand
+// campaigns in Google Ads). With NEGATIVES_DRY_RUN on, the tab only shows what would be added; turn it off
+// once the preview looks right.
+const APPLY_NEGATIVES = false;
+const NEGATIVE_LIST_NAME = '';     // e.g. 'Brand terms'
+const NEGATIVES_DRY_RUN = true;
+
+// Alerts: after each run, check the latest complete period of Combined and every channel in CHANNELS
+// for unusual branded share of cost, branded cost, branded CPA and branded ROAS, and email ALERT_RECIPIENTS.
+// 'zscore': flag values more than ALERT_Z_SCORE standard deviations from the mean of up to
+// ALERT_BASELINE_PERIODS earlier complete periods (needs at least 3; the deviation counts as at least 10% of
+// the mean, so a flat baseline does not flag every change). 'threshold': flag values outside ALERT_THRESHOLDS.
+const ALERTS_ENABLED = false;
+const ALERT_RECIPIENTS = [];      // e.g. ['ppc-team@example.com']
+const ALERT_METHOD = 'zscore';    // 'zscore' or 'threshold'
+const ALERT_BASELINE_PERIODS = 6;
+const ALERT_Z_SCORE = 2;
+// Fixed ranges per check, in account currency / ratio (0.4 = 40%). Leave out min or max for a one-sided check.
+// The Config tab sets each bound with an "Alert <check> Min/Max" row; 'none' removes it.
+const ALERT_THRESHOLDS = {
+  brandedShare: { min: 0.05, max: 0.5 },
+  brandedCost: { max: 5000 },
+  brandedCpa: { max: 20 },
+  brandedRoas: { min: 2 }
+};
+
+// Summary email: an HTML email to SUMMARY_RECIPIENTS for stakeholders who do not open the sheet. For Combined and
+// (with INCLUDE_BY_CAMPAIGN_TYPE) every channel it lists branded vs non-branded cost, conversions, CPA and ROAS for
+// the latest complete period, its change on the period before and the whole range, with a sparkline of branded
+// share of cost per period and a link to the report. SUMMARY_SCHEDULE limits which runs send it: 'always',
+// 'weekly' (only on SUMMARY_WEEK_DAY) or 'monthly' (only on day SUMMARY_MONTH_DAY, 1-28), in the account time zone.
+const SUMMARY_EMAIL_ENABLED = false;
+const SUMMARY_RECIPIENTS = [];    // e.g. ['marketing-leads@example.com']
+const SUMMARY_SCHEDULE = 'always';
+const SUMMARY_WEEK_DAY = 'monday';
+const SUMMARY_MONTH_DAY = 1;
+
+// Exports: the Raw tab data as a tidy long-format dataset for a data warehouse, one row per account, channel
+// (Combined, every channel in CHANNELS and Pmax Categories), period, segment and metric; columns in EXPORT_COLUMNS.
+// Each run exports every period it reports, stamped with run_timestamp, so keep the latest run per period when
+// querying. EXPORT_CSV writes a CSV file to the Drive folder EXPORT_FOLDER (URL or ID). EXPORT_BIGQUERY appends
+// the rows to BIGQUERY_PROJECT_ID.BIGQUERY_DATASET_ID.BIGQUERY_TABLE_ID, creating the table with the
+// EXPORT_COLUMNS schema when it does not exist (turn on the BigQuery advanced API under Advanced APIs first).
+const EXPORT_CSV = false;
+const EXPORT_FOLDER = '';                      // e.g. 'https://drive.google.com/drive/folders/...'
+const EXPORT_BIGQUERY = false;
+const BIGQUERY_PROJECT_ID = '';                // e.g. 'my-bi-project'
+const BIGQUERY_DATASET_ID = '';                // e.g. 'google_ads'
+const BIGQUERY_TABLE_ID = 'brand_vs_nonbrand';
+
+// Optional tab in the output spreadsheet that overrides the settings above (except SHEET_URL), so
+// account managers can change brand rules, date range, granularity and toggles without editing code.
+// Column A = setting name, column B = value, row 1 = headers. Blank values keep the in-script default.
+// Settings: Lookback Days, Start Date, End Date, Time Granularity, Week Start Day, Partial Periods In Charts, Channels, Brand Whole Word, Fuzzy Matching,
+// Fuzzy Default Max Edits, Fuzzy Min Token Length, Fuzzy Chars Per Edit, Competitor Tokens,
+// Brand + Competitor Priority, Include By Campaign Type, Pmax Treat All As Non-Branded, Include Pmax Categories,
+// Include By Campaign, By Campaign Name Pattern, By Campaign Label, Include Reconciliation, Use History,
+// History Refresh Periods, Checkpoint Enabled, Checkpoint Reserve Seconds,
+// Compare Previous Period, Compare Year Over Year, Include Top Terms, Top Terms Count, Include N-grams,
+// N-gram Min Impressions, N-gram Stop Words, Include Cannibalisation, Brand Campaign Name Pattern,
+// Brand Campaign Label, Include Suggested Negatives, Apply Negatives, Negative List Name, Negatives Dry Run,
+// Alerts Enabled, Alert Recipients, Alert Method,
+// Alert Baseline Periods, Alert Z Score, Alert Branded Share Min, Alert Branded Share Max, Alert Branded Cost Min,
+// Alert Branded Cost Max, Alert Branded CPA Min, Alert Branded CPA Max, Alert Branded ROAS Min, Alert Branded ROAS Max,
+// Summary Email Enabled, Summary Recipients, Summary Schedule, Summary Week Day,
+// Summary Month Day, Export CSV, Export Folder, Export BigQuery, BigQuery Project ID,
+// BigQuery Dataset ID, BigQuery Table ID, Campaign Name Contains, Campaign Name Not Contains, Campaign Name Regex,
+// Campaign Name Exclude Regex, Campaign Include Labels, Campaign Exclude Labels, Campaign Statuses, Campaign IDs,
+// Campaign Exclude IDs (lists separated by commas),
+// plus "Brand Group: <name>" / "Brand Exclusions: <name>" rows listing tokens separated by commas
+// (foodsisters = phrase, [food sisters] = exact, /regex/ = regex, foodsisters~2 = allow 2 typos).
+// Invalid values stop the run and are explained in column C. The settings used are listed on the Info tab.
+const CONFIG_TAB_NAME = 'Config';
+
+// ===== MANAGER ACCOUNT (MCC) MODE =====
+// Run from a manager account to analyse several client accounts in one execution.
+const MCC_MODE = false;
+// Client accounts to analyse: customer IDs, or every account with MCC_ACCOUNT_LABEL (IDs win when both are set)
+const MCC_ACCOUNT_IDS = [];        // e.g. ['123-456-7890', '234-567-8901']
+const MCC_ACCOUNT_LABEL = '';      // e.g. 'Brand analysis'
+// 'perAccount': full report in each client's own spreadsheet (sheetUrl in MCC_ACCOUNT_SETTINGS).
+// 'rollup': one spreadsheet (SHEET_URL) whose Raw tabs carry Account ID / Account Name columns.
+// Either way, SHEET_URL gets a "Summary - Accounts" tab comparing branded share across accounts.
+const MCC_OUTPUT = 'rollup';
+// Per-account settings keyed by customer ID: sheetUrl (perAccount output) plus any setting to
+// override for that account, most usefully brandGroups and competitorTokens (same format as above).
+// These win over the Config tab. Accounts without an entry use the shared settings.
+const MCC_ACCOUNT_SETTINGS = {
+  // '123-456-7890': {
+  //   sheetUrl: 'https://docs.google.com/spreadsheets/d/.../edit',
+  //   brandGroups: [{ name: 'Core brand', tokens: ['foodsisters'] }],
+  //   competitorTokens: ['rivalbakery']
+  // }
+};
+
 // ===== HELPERS =====
 
 function getSheetId(sheetIdentifier) {
@@ -59,934 +303,4028 @@ function getSheetId(sheetIdentifier) {
   return match[1];
 }
 
-function getDateRangeClause() {
+// Report date range as { start, end } (yyyy-MM-dd): Start/End Date when both set, else the last Lookback Days
+function getDateRange() {
   const timeZone = AdsApp.currentAccount().getTimeZone();
   let startDate;
   let endDate;
-  if (START_DATE && END_DATE) {
-    startDate = new Date(START_DATE);
-    endDate = new Date(END_DATE);
+  if (CONFIG.startDate && CONFIG.endDate) {
+    startDate = new Date(CONFIG.startDate);
+    endDate = new Date(CONFIG.endDate);
   } else {
     endDate = new Date();
     startDate = new Date();
-    startDate.setDate(endDate.getDate() - LOOKBACK_DAYS);
+    startDate.setDate(endDate.getDate() - CONFIG.lookbackDays);
   }
   const fStart = Utilities.formatDate(startDate, timeZone, 'yyyy-MM-dd');
   const fEnd = Utilities.formatDate(endDate, timeZone, 'yyyy-MM-dd');
-  return "segments.date BETWEEN '" + fStart + "' AND '" + fEnd + "'";
+  return { start: fStart, end: fEnd };
 }
 
-function buildBrandPatterns() {
-  const pattern = new RegExp(
-    BRAND_TOKENS
-      .map(function (token) {
-        return token
-          .replace(/[- ]/g, '[-_ ]?')
-          .replace(/([0-9])/g, ' ?$1');
-      })
-      .join('|'),
-    'i'
-  );
-  return [pattern];
+// GAQL date filter for a { start, end } range (defaults to the report range)
+function getDateRangeClause(dateRange) {
+  const range = dateRange || getDateRange();
+  return "segments.date BETWEEN '" + range.start + "' AND '" + range.end + "'";
 }
 
-let BRAND_PATTERNS = [];
+// Date arithmetic on yyyy-MM-dd strings, done in UTC so time zones and DST never shift a day
+function addDaysToDate(dateStr, days) {
+  const parts = dateStr.split('-').map(Number);
+  return new Date(Date.UTC(parts[0], parts[1] - 1, parts[2] + days)).toISOString().slice(0, 10);
+}
 
-function isBranded(text) {
-  if (!text || typeof text !== 'string') return false;
-  return BRAND_PATTERNS.some(function (p) { return p.test(text); });
+function daysInRange(range) {
+  const start = range.start.split('-').map(Number);
+  const end = range.end.split('-').map(Number);
+  return Math.round((Date.UTC(end[0], end[1] - 1, end[2]) - Date.UTC(start[0], start[1] - 1, start[2])) / 86400000) + 1;
 }
 
-function emptyMetrics() {
-  return {
-    impressions: 0,
-    clicks: 0,
-    cost: 0,
-    conversions: 0,
-    conversionsValue: 0
-  };
+// Time granularities: the GAQL segment that splits rows into periods, the row field holding the period key
+// (yyyy-MM-dd first day of the period, as the API returns it) and the chart axis title
+const TIME_GRANULARITIES = {
+  day: { segment: 'segments.date', field: 'date', axisTitle: 'Day' },
+  week: { segment: 'segments.week', field: 'week', axisTitle: 'Week' },
+  month: { segment: 'segments.month', field: 'month', axisTitle: 'Month' },
+  quarter: { segment: 'segments.quarter', field: 'quarter', axisTitle: 'Quarter' }
+};
+
+// Indexed like Date.getUTCDay()
+const WEEK_DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const PARTIAL_PERIOD_CHOICES = ['show', 'exclude', 'normalise'];
+
+const SUMMARY_SCHEDULES = ['always', 'weekly', 'monthly'];
+
+// segments.week always starts on Monday, so other week starts group segments.date rows in the script
+function groupsDaysIntoWeeks(config) {
+  return config.timeGranularity === 'week' && config.weekStartDay !== 'monday';
 }
 
-function emptyPeriodData() {
-  return {
-    branded: emptyMetrics(),
-    nonBranded: emptyMetrics()
-  };
+function getTimeSegment(config) {
+  return groupsDaysIntoWeeks(config) ? 'segments.date' : TIME_GRANULARITIES[config.timeGranularity].segment;
 }
 
-// For Pmax Categories - includes blank category for unidentifiable search categories
-function emptyPeriodDataWithBlank() {
-  return {
-    branded: emptyMetrics(),
-    nonBranded: emptyMetrics(),
-    blank: emptyMetrics()
-  };
+// Period key of a report row, or undefined when the row has no time segment
+function getRowPeriodKey(config, row) {
+  if (!row.segments) return undefined;
+  if (groupsDaysIntoWeeks(config)) return row.segments.date ? periodStartDate(config, row.segments.date) : undefined;
+  return row.segments[TIME_GRANULARITIES[config.timeGranularity].field];
 }
 
-function addRowToPeriodData(periodData, periodKey, isBrandedRow, rowMetrics) {
-  if (!periodData[periodKey]) {
-    periodData[periodKey] = emptyPeriodData();
-  }
-  const target = isBrandedRow ? periodData[periodKey].branded : periodData[periodKey].nonBranded;
-  target.impressions += rowMetrics.impressions;
-  target.clicks += rowMetrics.clicks;
-  target.cost += rowMetrics.cost;
-  target.conversions += rowMetrics.conversions;
-  target.conversionsValue += rowMetrics.conversionsValue;
+function getPeriodAxisTitle(config) {
+  return TIME_GRANULARITIES[config.timeGranularity].axisTitle;
 }
 
-function addRowToPeriodDataWithBlank(periodData, periodKey, category, rowMetrics) {
-  // category: 'branded', 'nonBranded', or 'blank'
-  if (!periodData[periodKey]) {
-    periodData[periodKey] = emptyPeriodDataWithBlank();
+// Period key containing a yyyy-MM-dd date (weeks start on the Week Start Day)
+function periodStartDate(config, dateStr) {
+  const parts = dateStr.split('-').map(Number);
+  if (config.timeGranularity === 'day') return dateStr;
+  if (config.timeGranularity === 'week') {
+    const dayOfWeek = new Date(Date.UTC(parts[0], parts[1] - 1, parts[2])).getUTCDay();
+    return addDaysToDate(dateStr, -((dayOfWeek - WEEK_DAYS.indexOf(config.weekStartDay) + 7) % 7));
   }
-  const target = periodData[periodKey][category];
-  target.impressions += rowMetrics.impressions;
-  target.clicks += rowMetrics.clicks;
-  target.cost += rowMetrics.cost;
-  target.conversions += rowMetrics.conversions;
-  target.conversionsValue += rowMetrics.conversionsValue;
+  const month = config.timeGranularity === 'quarter' ? Math.floor((parts[1] - 1) / 3) * 3 + 1 : parts[1];
+  return parts[0] + '-' + (month < 10 ? '0' : '') + month + '-01';
 }
 
-// ===== DATA FETCHES =====
-
-function processSearchTermView(channelType) {
-  const dateClause = getDateRangeClause();
-  const timeSegment = TIME_GRANULARITY === 'week' ? 'segments.week' : 'segments.month';
-  const query = [
-    'SELECT',
-    '  search_term_view.search_term,',
-    '  ' + timeSegment + ',',
-    '  metrics.impressions,',
-    '  metrics.clicks,',
-    '  metrics.cost_micros,',
-    '  metrics.conversions,',
-    '  metrics.conversions_value',
-    'FROM search_term_view',
-    "WHERE " + dateClause,
-    "  AND campaign.advertising_channel_type = '" + channelType + "'"
-  ].join('\n');
-
-  const totals = { branded: emptyMetrics(), nonBranded: emptyMetrics() };
-  const periodData = {};
-
-  const report = AdsApp.search(query);
-  while (report.hasNext()) {
-    try {
-      const row = report.next();
-      const text = row.searchTermView && row.searchTermView.searchTerm ? row.searchTermView.searchTerm : '';
-      const m = row.metrics || {};
-      const cost = Number(m.costMicros) || 0;
-      const costActual = cost / 1000000;
-      const rowMetrics = {
-        impressions: Number(m.impressions) || 0,
-        clicks: Number(m.clicks) || 0,
-        cost: costActual,
-        conversions: Number(m.conversions) || 0,
-        conversionsValue: Number(m.conversionsValue) || 0
-      };
-      const periodKey = TIME_GRANULARITY === 'week' ? (row.segments && row.segments.week) : (row.segments && row.segments.month);
-      if (!periodKey) continue;
-
-      const branded = isBranded(text);
-      if (branded) {
-        totals.branded.impressions += rowMetrics.impressions;
-        totals.branded.clicks += rowMetrics.clicks;
-        totals.branded.cost += rowMetrics.cost;
-        totals.branded.conversions += rowMetrics.conversions;
-        totals.branded.conversionsValue += rowMetrics.conversionsValue;
-      } else {
-        totals.nonBranded.impressions += rowMetrics.impressions;
-        totals.nonBranded.clicks += rowMetrics.clicks;
-        totals.nonBranded.cost += rowMetrics.cost;
-        totals.nonBranded.conversions += rowMetrics.conversions;
-        totals.nonBranded.conversionsValue += rowMetrics.conversionsValue;
-      }
-      addRowToPeriodData(periodData, periodKey, branded, rowMetrics);
-    } catch (e) {
-      Logger.log('Error processing row: ' + e);
-    }
+// Last day covered by a period key
+function periodEndDate(config, periodKey) {
+  if (config.timeGranularity === 'day') return periodKey;
+  if (config.timeGranularity === 'week') {
+    return addDaysToDate(periodKey, 6);
   }
-  return { totals: totals, periodData: periodData };
+  const parts = String(periodKey).split('-').map(Number);
+  const months = config.timeGranularity === 'quarter' ? 3 : 1;
+  return new Date(Date.UTC(parts[0], parts[1] - 1 + months, 0)).toISOString().slice(0, 10);
 }
 
-function processCampaignSearchTermView() {
-  const dateClause = getDateRangeClause();
-  const timeSegment = TIME_GRANULARITY === 'week' ? 'segments.week' : 'segments.month';
-  // Must SELECT segments.search_term_targeting_status to filter excluded terms in code
-  // (API returns all terms including excluded; we skip EXCLUDED / ADDED_EXCLUDED to match UI).
-  const query = [
-    'SELECT',
-    '  campaign_search_term_view.search_term,',
-    '  segments.search_term_targeting_status,',
-    '  ' + timeSegment + ',',
-    '  metrics.impressions,',
-    '  metrics.clicks,',
-    '  metrics.cost_micros,',
-    '  metrics.conversions,',
-    '  metrics.conversions_value',
-    'FROM campaign_search_term_view',
-    'WHERE ' + dateClause,
-    "  AND campaign.advertising_channel_type = 'PERFORMANCE_MAX'"
-  ].join('\n');
-
-  const totals = { branded: emptyMetrics(), nonBranded: emptyMetrics() };
-  const periodData = {};
+// Days of a period inside the date range, and whether that is less than the whole period
+function daysInPeriod(config, periodKey, dateRange) {
+  const periodEnd = periodEndDate(config, periodKey);
+  return Math.max(0, daysInRange({
+    start: periodKey < dateRange.start ? dateRange.start : periodKey,
+    end: periodEnd > dateRange.end ? dateRange.end : periodEnd
+  }));
+}
 
-  function isExcludedTargetingStatus(segments) {
-    if (!segments) return false;
-    const raw = segments.searchTermTargetingStatus !== undefined
-      ? segments.searchTermTargetingStatus
-      : segments.search_term_targeting_status;
-    if (raw === undefined) return false;
-    const s = String(raw).toUpperCase();
-    return s === 'EXCLUDED' || s === 'ADDED_EXCLUDED';
-  }
+function isPartialPeriod(config, periodKey, dateRange) {
+  return daysInPeriod(config, periodKey, dateRange) < daysInRange({ start: periodKey, end: periodEndDate(config, periodKey) });
+}
 
-  const DEBUG_PMAX_ROWS = 0; // Log first N rows to see segments structure; set > 0 to enable
-  let rowIndex = 0;
-  let skippedExcluded = 0;
+// Same day one year earlier; 29 Feb becomes 28 Feb
+function subtractYearFromDate(dateStr) {
+  const parts = dateStr.split('-').map(Number);
+  const lastDay = new Date(Date.UTC(parts[0] - 1, parts[1], 0)).getUTCDate();
+  return new Date(Date.UTC(parts[0] - 1, parts[1] - 1, Math.min(parts[2], lastDay))).toISOString().slice(0, 10);
+}
 
-  const report = AdsApp.search(query);
-  while (report.hasNext()) {
-    try {
-      const row = report.next();
-      rowIndex++;
+// ===== RUNTIME SETTINGS (CONFIG TAB) =====
+// Settings used by this run: the in-script constants above, overridden by the optional Config tab
+let CONFIG = null;
 
-      const excluded = isExcludedTargetingStatus(row.segments);
-      if (excluded) skippedExcluded++;
+function buildDefaultConfig() {
+  return {
+    source: 'Script constants',
+    lookbackDays: LOOKBACK_DAYS,
+    startDate: START_DATE,
+    endDate: END_DATE,
+    timeGranularity: TIME_GRANULARITY,
+    weekStartDay: WEEK_START_DAY,
+    partialPeriodsInCharts: PARTIAL_PERIODS_IN_CHARTS,
+    channels: CHANNELS,
+    brandGroups: BRAND_GROUPS,
+    brandWholeWord: BRAND_WHOLE_WORD,
+    fuzzyMatching: FUZZY_MATCHING,
+    fuzzyDefaultMaxEdits: FUZZY_DEFAULT_MAX_EDITS,
+    fuzzyMinTokenLength: FUZZY_MIN_TOKEN_LENGTH,
+    fuzzyCharsPerEdit: FUZZY_CHARS_PER_EDIT,
+    competitorTokens: COMPETITOR_TOKENS,
+    brandAndCompetitorPriority: BRAND_AND_COMPETITOR_PRIORITY,
+    includeByCampaignType: INCLUDE_BY_CAMPAIGN_TYPE,
+    pmaxTreatAllAsNonBranded: PMAX_TREAT_ALL_AS_NON_BRANDED,
+    includePmaxCategories: INCLUDE_PMAX_CATEGORIES,
+    campaignNameContains: CAMPAIGN_NAME_CONTAINS,
+    campaignNameNotContains: CAMPAIGN_NAME_NOT_CONTAINS,
+    campaignNameRegex: CAMPAIGN_NAME_REGEX,
+    campaignNameExcludeRegex: CAMPAIGN_NAME_EXCLUDE_REGEX,
+    campaignIncludeLabels: CAMPAIGN_INCLUDE_LABELS,
+    campaignExcludeLabels: CAMPAIGN_EXCLUDE_LABELS,
+    campaignStatuses: CAMPAIGN_STATUSES,
+    campaignIds: CAMPAIGN_IDS,
+    campaignExcludeIds: CAMPAIGN_EXCLUDE_IDS,
+    includeByCampaign: INCLUDE_BY_CAMPAIGN,
+    byCampaignNamePattern: BY_CAMPAIGN_NAME_PATTERN,
+    byCampaignLabel: BY_CAMPAIGN_LABEL,
+    includeReconciliation: INCLUDE_RECONCILIATION,
+    useHistory: USE_HISTORY,
+    historyRefreshPeriods: HISTORY_REFRESH_PERIODS,
+    checkpointEnabled: CHECKPOINT_ENABLED,
+    checkpointReserveSeconds: CHECKPOINT_RESERVE_SECONDS,
+    comparePreviousPeriod: COMPARE_PREVIOUS_PERIOD,
+    compareYearOverYear: COMPARE_YEAR_OVER_YEAR,
+    includeTopTerms: INCLUDE_TOP_TERMS,
+    topTermsCount: TOP_TERMS_COUNT,
+    includeNgrams: INCLUDE_NGRAMS,
+    ngramMinImpressions: NGRAM_MIN_IMPRESSIONS,
+    ngramStopWords: NGRAM_STOP_WORDS,
+    includeCannibalisation: INCLUDE_CANNIBALISATION,
+    brandCampaignNamePattern: BRAND_CAMPAIGN_NAME_PATTERN,
+    brandCampaignLabel: BRAND_CAMPAIGN_LABEL,
+    includeSuggestedNegatives: INCLUDE_SUGGESTED_NEGATIVES,
+    applyNegatives: APPLY_NEGATIVES,
+    negativeListName: NEGATIVE_LIST_NAME,
+    negativesDryRun: NEGATIVES_DRY_RUN,
+    alertsEnabled: ALERTS_ENABLED,
+    alertRecipients: ALERT_RECIPIENTS,
+    alertMethod: ALERT_METHOD,
+    alertBaselinePeriods: ALERT_BASELINE_PERIODS,
+    alertZScore: ALERT_Z_SCORE,
+    alertThresholds: ALERT_THRESHOLDS,
+    summaryEmailEnabled: SUMMARY_EMAIL_ENABLED,
+    summaryRecipients: SUMMARY_RECIPIENTS,
+    summarySchedule: SUMMARY_SCHEDULE,
+    summaryWeekDay: SUMMARY_WEEK_DAY,
+    summaryMonthDay: SUMMARY_MONTH_DAY,
+    exportCsv: EXPORT_CSV,
+    exportFolder: EXPORT_FOLDER,
+    exportBigQuery: EXPORT_BIGQUERY,
+    bigQueryProjectId: BIGQUERY_PROJECT_ID,
+    bigQueryDatasetId: BIGQUERY_DATASET_ID,
+    bigQueryTableId: BIGQUERY_TABLE_ID
+  };
+}
 
-      if (DEBUG_PMAX_ROWS > 0 && rowIndex <= DEBUG_PMAX_ROWS) {
-        const text = row.campaignSearchTermView && row.campaignSearchTermView.searchTerm ? row.campaignSearchTermView.searchTerm : '';
-        Logger.log('[Pmax row ' + rowIndex + '] searchTerm="' + text + '" segments=' + JSON.stringify(row.segments) + ' excluded=' + excluded);
-      }
+function parseBooleanSetting(value) {
+  if (typeof value === 'boolean') return value;
+  const s = String(value).trim().toLowerCase();
+  if (['true', 'yes', 'on', '1'].indexOf(s) !== -1) return true;
+  if (['false', 'no', 'off', '0'].indexOf(s) !== -1) return false;
+  throw new Error('expected TRUE or FALSE, got "' + value + '"');
+}
 
-      if (excluded) continue;
+function parseIntegerSetting(min) {
+  return function (value) {
+    const n = Number(value);
+    if (String(value).trim() === '' || !isFinite(n) || Math.floor(n) !== n || n < min) {
+      throw new Error('expected a whole number >= ' + min + ', got "' + value + '"');
+    }
+    return n;
+  };
+}
 
-      const text = row.campaignSearchTermView && row.campaignSearchTermView.searchTerm ? row.campaignSearchTermView.searchTerm : '';
-      const m = row.metrics || {};
-      const cost = Number(m.costMicros) || 0;
-      const costActual = cost / 1000000;
-      const rowMetrics = {
-        impressions: Number(m.impressions) || 0,
-        clicks: Number(m.clicks) || 0,
-        cost: costActual,
-        conversions: Number(m.conversions) || 0,
-        conversionsValue: Number(m.conversionsValue) || 0
-      };
-      const periodKey = TIME_GRANULARITY === 'week' ? (row.segments && row.segments.week) : (row.segments && row.segments.month);
-      if (!periodKey) continue;
+function parseNumberSetting(min) {
+  return function (value) {
+    const n = Number(value);
+    if (String(value).trim() === '' || !isFinite(n) || n < min) {
+      throw new Error('expected a number >= ' + min + ', got "' + value + '"');
+    }
+    return n;
+  };
+}
 
-      const branded = PMAX_TREAT_ALL_AS_NON_BRANDED ? false : isBranded(text);
-      if (branded) {
-        totals.branded.impressions += rowMetrics.impressions;
-        totals.branded.clicks += rowMetrics.clicks;
-        totals.branded.cost += rowMetrics.cost;
-        totals.branded.conversions += rowMetrics.conversions;
-        totals.branded.conversionsValue += rowMetrics.conversionsValue;
-      } else {
-        totals.nonBranded.impressions += rowMetrics.impressions;
-        totals.nonBranded.clicks += rowMetrics.clicks;
-        totals.nonBranded.cost += rowMetrics.cost;
-        totals.nonBranded.conversions += rowMetrics.conversions;
-        totals.nonBranded.conversionsValue += rowMetrics.conversionsValue;
-      }
-      addRowToPeriodData(periodData, periodKey, branded, rowMetrics);
-    } catch (e) {
-      Logger.log('Error processing row: ' + e);
+function parseChoiceSetting(choices) {
+  return function (value) {
+    const s = String(value).trim().toLowerCase();
+    if (choices.indexOf(s) === -1) {
+      throw new Error('expected one of ' + choices.join(', ') + ', got "' + value + '"');
     }
-  }
+    return s;
+  };
+}
 
-  if (DEBUG_PMAX_ROWS > 0) {
-    Logger.log('[Pmax] Total rows: ' + rowIndex + ', skipped (excluded): ' + skippedExcluded);
+// Case-insensitive regular expression, stored as its source text
+function parseRegexSetting(value) {
+  const s = String(value).trim();
+  try {
+    new RegExp(s, 'i');
+  } catch (e) {
+    throw new Error('invalid regex /' + s + '/: ' + e.message);
   }
-
-  return { totals: totals, periodData: periodData };
+  return s;
 }
 
-// Pmax Consumer Spotlight: campaign_search_term_insight provides category-level data.
-// No cost metrics available; only impressions, clicks, conversions, conversion value.
-// Note: This resource doesn't support segments.month/week/date with campaign_id filter,
-// so we run separate queries for each time period.
-function processCampaignSearchTermInsight() {
-  const timeZone = AdsApp.currentAccount().getTimeZone();
-
-  // First get all Pmax campaign IDs
-  const campaignQuery = [
-    'SELECT campaign.id, campaign.name',
-    'FROM campaign',
-    "WHERE campaign.advertising_channel_type = 'PERFORMANCE_MAX'",
-    "  AND campaign.status != 'REMOVED'"
-  ].join('\n');
+// Comma- or newline-separated values, trimmed
+function parseTextList(value) {
+  return String(value).split(/[,\n]/).map(function (part) {
+    return part.trim();
+  }).filter(function (part) {
+    return part !== '';
+  });
+}
 
-  const campaignIds = [];
-  const campaignReport = AdsApp.search(campaignQuery);
-  while (campaignReport.hasNext()) {
-    const row = campaignReport.next();
-    if (row.campaign && row.campaign.id) {
-      campaignIds.push(row.campaign.id);
-    }
-  }
+// Comma- or newline-separated words, lowercased
+function parseWordList(value) {
+  return parseTextList(value).map(function (word) {
+    return word.toLowerCase();
+  });
+}
 
-  if (campaignIds.length === 0) {
-    Logger.log('[Pmax Categories] No Pmax campaigns found.');
-    return { totals: { branded: emptyMetrics(), nonBranded: emptyMetrics() }, periodData: {} };
-  }
+// Alert threshold bound: a number >= 0, or 'none' (null) to drop the bound
+function parseThresholdSetting(value) {
+  if (String(value).trim().toLowerCase() === 'none') return null;
+  return parseNumberSetting(0)(value);
+}
 
-  Logger.log('[Pmax Categories] Found ' + campaignIds.length + ' Pmax campaign(s).');
+// Channel names from CHANNEL_DEFINITIONS, any case
+function parseChannelList(value) {
+  return parseTextList(value).map(function (name) {
+    const channel = findChannelDefinition(name);
+    if (!channel) throw new Error('unknown channel "' + name + '"');
+    return channel.name;
+  });
+}
 
-  // Calculate period date ranges based on config
-  function getPeriodRanges() {
-    let startDate, endDate;
-    if (START_DATE && END_DATE) {
-      startDate = new Date(START_DATE);
-      endDate = new Date(END_DATE);
-    } else {
-      endDate = new Date();
-      startDate = new Date();
-      startDate.setDate(endDate.getDate() - LOOKBACK_DAYS);
-    }
+const CAMPAIGN_STATUS_CHOICES = ['ENABLED', 'PAUSED', 'REMOVED'];
 
-    const periods = [];
-    if (TIME_GRANULARITY === 'week') {
-      // Generate week ranges (Monday to Sunday)
-      let current = new Date(startDate);
-      // Move to Monday of the first week
-      const dayOfWeek = current.getDay();
-      const diff = dayOfWeek === 0 ? -6 : 1 - dayOfWeek;
-      current.setDate(current.getDate() + diff);
-
-      while (current <= endDate) {
-        const weekStart = new Date(current);
-        const weekEnd = new Date(current);
-        weekEnd.setDate(weekEnd.getDate() + 6);
-        const periodKey = Utilities.formatDate(weekStart, timeZone, 'yyyy-MM-dd');
-        periods.push({
-          key: periodKey,
-          start: Utilities.formatDate(weekStart, timeZone, 'yyyy-MM-dd'),
-          end: Utilities.formatDate(weekEnd > endDate ? endDate : weekEnd, timeZone, 'yyyy-MM-dd')
-        });
-        current.setDate(current.getDate() + 7);
-      }
-    } else {
-      // Generate month ranges
-      let current = new Date(startDate.getFullYear(), startDate.getMonth(), 1);
-      while (current <= endDate) {
-        const monthStart = new Date(current);
-        const monthEnd = new Date(current.getFullYear(), current.getMonth() + 1, 0); // Last day of month
-        const periodKey = Utilities.formatDate(monthStart, timeZone, 'yyyy-MM');
-        periods.push({
-          key: periodKey,
-          start: Utilities.formatDate(monthStart < startDate ? startDate : monthStart, timeZone, 'yyyy-MM-dd'),
-          end: Utilities.formatDate(monthEnd > endDate ? endDate : monthEnd, timeZone, 'yyyy-MM-dd')
-        });
-        current.setMonth(current.getMonth() + 1);
-      }
+function parseStatusList(value) {
+  return parseTextList(value).map(function (status) {
+    const s = status.toUpperCase();
+    if (CAMPAIGN_STATUS_CHOICES.indexOf(s) === -1) {
+      throw new Error('expected statuses from ' + CAMPAIGN_STATUS_CHOICES.join(', ') + ', got "' + status + '"');
     }
-    return periods;
-  }
-
-  const periodRanges = getPeriodRanges();
-  Logger.log('[Pmax Categories] Processing ' + periodRanges.length + ' period(s).');
+    return s;
+  });
+}
 
-  const totals = { branded: emptyMetrics(), nonBranded: emptyMetrics(), blank: emptyMetrics() };
-  const periodData = {};
+// Campaign IDs; dashes and spaces are ignored
+function parseIdList(value) {
+  return parseTextList(value).map(function (id) {
+    const digits = id.replace(/[-\s]/g, '');
+    if (!/^\d+$/.test(digits)) throw new Error('expected numeric campaign IDs, got "' + id + '"');
+    return digits;
+  });
+}
 
-  // Query each period separately (no segments needed)
-  for (let p = 0; p < periodRanges.length; p++) {
-    const period = periodRanges[p];
-    const dateClause = "segments.date BETWEEN '" + period.start + "' AND '" + period.end + "'";
+// Comma-, semicolon- or newline-separated email addresses
+function parseEmailList(value) {
+  return String(value).split(/[,;\n]/).map(function (part) {
+    return part.trim();
+  }).filter(function (part) {
+    if (part === '') return false;
+    if (!/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(part)) throw new Error('invalid email address "' + part + '"');
+    return true;
+  });
+}
 
-    for (let i = 0; i < campaignIds.length; i++) {
-      const campaignId = campaignIds[i];
-      const query = [
-        'SELECT',
-        '  campaign_search_term_insight.category_label,',
-        '  metrics.impressions,',
-        '  metrics.clicks,',
-        '  metrics.conversions,',
-        '  metrics.conversions_value',
-        'FROM campaign_search_term_insight',
-        'WHERE ' + dateClause,
-        '  AND campaign_search_term_insight.campaign_id = ' + campaignId
-      ].join('\n');
+// Dates may be typed as text (yyyy-MM-dd) or entered as real dates in the sheet (read in the given time zone)
+function parseDateSetting(value, timeZone) {
+  if (Object.prototype.toString.call(value) === '[object Date]') {
+    if (isNaN(value.getTime())) throw new Error('invalid date');
+    return Utilities.formatDate(value, timeZone, 'yyyy-MM-dd');
+  }
+  const s = String(value).trim();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(s) || isNaN(new Date(s).getTime())) {
+    throw new Error('expected a date as yyyy-MM-dd, got "' + value + '"');
+  }
+  return s;
+}
 
+// Token list cell: comma- or newline-separated tokens. "foodsisters" is a phrase token,
+// "[food sisters]" exact, "/^sis(ter)?s? cakes/" regex; append ~N for typo tolerance ("foodsisters~2").
+function parseTokenList(value) {
+  return String(value).split(/[,\n]/).map(function (part) {
+    return part.trim();
+  }).filter(function (part) {
+    return part !== '';
+  }).map(function (part) {
+    let text = part;
+    let maxEdits;
+    const editsMatch = text.match(/^(.*[^~])~(\d+)$/);
+    if (editsMatch && text.charAt(0) !== '/') {
+      text = editsMatch[1].trim();
+      maxEdits = Number(editsMatch[2]);
+    }
+    let match = 'phrase';
+    if (/^\[.+\]$/.test(text)) {
+      match = 'exact';
+      text = text.slice(1, -1).trim();
+    } else if (/^\/.+\/$/.test(text)) {
+      match = 'regex';
+      text = text.slice(1, -1);
       try {
-        const report = AdsApp.search(query);
-        while (report.hasNext()) {
-          const row = report.next();
-          const categoryLabel = row.campaignSearchTermInsight && row.campaignSearchTermInsight.categoryLabel
-            ? row.campaignSearchTermInsight.categoryLabel
-            : '';
-          const m = row.metrics || {};
-          const rowMetrics = {
-            impressions: Number(m.impressions) || 0,
-            clicks: Number(m.clicks) || 0,
-            cost: 0, // Not available in campaign_search_term_insight
-            conversions: Number(m.conversions) || 0,
-            conversionsValue: Number(m.conversionsValue) || 0
-          };
-
-          // Determine category: blank, branded, or nonBranded
-          let category;
-          if (!categoryLabel || categoryLabel.trim() === '') {
-            category = 'blank';
-          } else if (isBranded(categoryLabel)) {
-            category = 'branded';
-          } else {
-            category = 'nonBranded';
-          }
-
-          // Update totals
-          totals[category].impressions += rowMetrics.impressions;
-          totals[category].clicks += rowMetrics.clicks;
-          totals[category].conversions += rowMetrics.conversions;
-          totals[category].conversionsValue += rowMetrics.conversionsValue;
-
-          addRowToPeriodDataWithBlank(periodData, period.key, category, rowMetrics);
-        }
+        new RegExp(text, 'i');
       } catch (e) {
-        Logger.log('[Pmax Categories] Error querying campaign ' + campaignId + ' for period ' + period.key + ': ' + e);
+        throw new Error('invalid regex /' + text + '/: ' + e.message);
       }
     }
-  }
+    if (match === 'phrase' && maxEdits === undefined) return text;
+    const token = { text: text, match: match };
+    if (maxEdits !== undefined) token.maxEdits = maxEdits;
+    return token;
+  });
+}
 
-  return { totals: totals, periodData: periodData };
+// Config tab rows (column A = setting, column B = value) and how each value is parsed.
+// Brand rules use "Brand Group: <name>" and "Brand Exclusions: <name>" rows (token list syntax above);
+// any Brand Group rows replace BRAND_GROUPS entirely.
+const CONFIG_TAB_SETTINGS = [
+  { name: 'Lookback Days', key: 'lookbackDays', parse: parseIntegerSetting(1) },
+  { name: 'Start Date', key: 'startDate', parse: parseDateSetting },
+  { name: 'End Date', key: 'endDate', parse: parseDateSetting },
+  { name: 'Time Granularity', key: 'timeGranularity', parse: parseChoiceSetting(Object.keys(TIME_GRANULARITIES)) },
+  { name: 'Week Start Day', key: 'weekStartDay', parse: parseChoiceSetting(WEEK_DAYS) },
+  { name: 'Partial Periods In Charts', key: 'partialPeriodsInCharts', parse: parseChoiceSetting(PARTIAL_PERIOD_CHOICES) },
+  { name: 'Channels', key: 'channels', parse: parseChannelList },
+  { name: 'Brand Whole Word', key: 'brandWholeWord', parse: parseBooleanSetting },
+  { name: 'Fuzzy Matching', key: 'fuzzyMatching', parse: parseBooleanSetting },
+  { name: 'Fuzzy Default Max Edits', key: 'fuzzyDefaultMaxEdits', parse: parseIntegerSetting(0) },
+  { name: 'Fuzzy Min Token Length', key: 'fuzzyMinTokenLength', parse: parseIntegerSetting(1) },
+  { name: 'Fuzzy Chars Per Edit', key: 'fuzzyCharsPerEdit', parse: parseIntegerSetting(1) },
+  { name: 'Competitor Tokens', key: 'competitorTokens', parse: parseTokenList },
+  { name: 'Brand + Competitor Priority', key: 'brandAndCompetitorPriority', parse: parseChoiceSetting(['branded', 'competitor']) },
+  { name: 'Include By Campaign Type', key: 'includeByCampaignType', parse: parseBooleanSetting },
+  { name: 'Pmax Treat All As Non-Branded', key: 'pmaxTreatAllAsNonBranded', parse: parseBooleanSetting },
+  { name: 'Include Pmax Categories', key: 'includePmaxCategories', parse: parseBooleanSetting },
+  { name: 'Campaign Name Contains', key: 'campaignNameContains', parse: parseTextList },
+  { name: 'Campaign Name Not Contains', key: 'campaignNameNotContains', parse: parseTextList },
+  { name: 'Campaign Name Regex', key: 'campaignNameRegex', parse: parseRegexSetting },
+  { name: 'Campaign Name Exclude Regex', key: 'campaignNameExcludeRegex', parse: parseRegexSetting },
+  { name: 'Campaign Include Labels', key: 'campaignIncludeLabels', parse: parseTextList },
+  { name: 'Campaign Exclude Labels', key: 'campaignExcludeLabels', parse: parseTextList },
+  { name: 'Campaign Statuses', key: 'campaignStatuses', parse: parseStatusList },
+  { name: 'Campaign IDs', key: 'campaignIds', parse: parseIdList },
+  { name: 'Campaign Exclude IDs', key: 'campaignExcludeIds', parse: parseIdList },
+  { name: 'Include By Campaign', key: 'includeByCampaign', parse: parseBooleanSetting },
+  { name: 'By Campaign Name Pattern', key: 'byCampaignNamePattern', parse: parseRegexSetting },
+  { name: 'By Campaign Label', key: 'byCampaignLabel', parse: function (value) { return String(value).trim(); } },
+  { name: 'Include Reconciliation', key: 'includeReconciliation', parse: parseBooleanSetting },
+  { name: 'Use History', key: 'useHistory', parse: parseBooleanSetting },
+  { name: 'History Refresh Periods', key: 'historyRefreshPeriods', parse: parseIntegerSetting(1) },
+  { name: 'Checkpoint Enabled', key: 'checkpointEnabled', parse: parseBooleanSetting },
+  { name: 'Checkpoint Reserve Seconds', key: 'checkpointReserveSeconds', parse: parseIntegerSetting(0) },
+  { name: 'Compare Previous Period', key: 'comparePreviousPeriod', parse: parseBooleanSetting },
+  { name: 'Compare Year Over Year', key: 'compareYearOverYear', parse: parseBooleanSetting },
+  { name: 'Include Top Terms', key: 'includeTopTerms', parse: parseBooleanSetting },
+  { name: 'Top Terms Count', key: 'topTermsCount', parse: parseIntegerSetting(1) },
+  { name: 'Include N-grams', key: 'includeNgrams', parse: parseBooleanSetting },
+  { name: 'N-gram Min Impressions', key: 'ngramMinImpressions', parse: parseIntegerSetting(0) },
+  { name: 'N-gram Stop Words', key: 'ngramStopWords', parse: parseWordList },
+  { name: 'Include Cannibalisation', key: 'includeCannibalisation', parse: parseBooleanSetting },
+  { name: 'Brand Campaign Name Pattern', key: 'brandCampaignNamePattern', parse: parseRegexSetting },
+  { name: 'Brand Campaign Label', key: 'brandCampaignLabel', parse: function (value) { return String(value).trim(); } },
+  { name: 'Include Suggested Negatives', key: 'includeSuggestedNegatives', parse: parseBooleanSetting },
+  { name: 'Apply Negatives', key: 'applyNegatives', parse: parseBooleanSetting },
+  { name: 'Negative List Name', key: 'negativeListName', parse: function (value) { return String(value).trim(); } },
+  { name: 'Negatives Dry Run', key: 'negativesDryRun', parse: parseBooleanSetting },
+  { name: 'Alerts Enabled', key: 'alertsEnabled', parse: parseBooleanSetting },
+  { name: 'Alert Recipients', key: 'alertRecipients', parse: parseEmailList },
+  { name: 'Alert Method', key: 'alertMethod', parse: parseChoiceSetting(['zscore', 'threshold']) },
+  { name: 'Alert Baseline Periods', key: 'alertBaselinePeriods', parse: parseIntegerSetting(3) },
+  { name: 'Alert Z Score', key: 'alertZScore', parse: parseNumberSetting(0) },
+  { name: 'Alert Branded Share Min', key: 'alertThresholds', check: 'brandedShare', bound: 'min', parse: parseThresholdSetting },
+  { name: 'Alert Branded Share Max', key: 'alertThresholds', check: 'brandedShare', bound: 'max', parse: parseThresholdSetting },
+  { name: 'Alert Branded Cost Min', key: 'alertThresholds', check: 'brandedCost', bound: 'min', parse: parseThresholdSetting },
+  { name: 'Alert Branded Cost Max', key: 'alertThresholds', check: 'brandedCost', bound: 'max', parse: parseThresholdSetting },
+  { name: 'Alert Branded CPA Min', key: 'alertThresholds', check: 'brandedCpa', bound: 'min', parse: parseThresholdSetting },
+  { name: 'Alert Branded CPA Max', key: 'alertThresholds', check: 'brandedCpa', bound: 'max', parse: parseThresholdSetting },
+  { name: 'Alert Branded ROAS Min', key: 'alertThresholds', check: 'brandedRoas', bound: 'min', parse: parseThresholdSetting },
+  { name: 'Alert Branded ROAS Max', key: 'alertThresholds', check: 'brandedRoas', bound: 'max', parse: parseThresholdSetting },
+  { name: 'Summary Email Enabled', key: 'summaryEmailEnabled', parse: parseBooleanSetting },
+  { name: 'Summary Recipients', key: 'summaryRecipients', parse: parseEmailList },
+  { name: 'Summary Schedule', key: 'summarySchedule', parse: parseChoiceSetting(SUMMARY_SCHEDULES) },
+  { name: 'Summary Week Day', key: 'summaryWeekDay', parse: parseChoiceSetting(WEEK_DAYS) },
+  { name: 'Summary Month Day', key: 'summaryMonthDay', parse: parseIntegerSetting(1) },
+  { name: 'Export CSV', key: 'exportCsv', parse: parseBooleanSetting },
+  { name: 'Export Folder', key: 'exportFolder', parse: function (value) { return String(value).trim(); } },
+  { name: 'Export BigQuery', key: 'exportBigQuery', parse: parseBooleanSetting },
+  { name: 'BigQuery Project ID', key: 'bigQueryProjectId', parse: function (value) { return String(value).trim(); } },
+  { name: 'BigQuery Dataset ID', key: 'bigQueryDatasetId', parse: function (value) { return String(value).trim(); } },
+  { name: 'BigQuery Table ID', key: 'bigQueryTableId', parse: function (value) { return String(value).trim(); } }
+];
+
+// Sets (or with null removes) one bound of an alert threshold, copying so ALERT_THRESHOLDS itself never changes
+function setThresholdBound(config, setting, value) {
+  const thresholds = Object.assign({}, config[setting.key]);
+  const range = Object.assign({}, thresholds[setting.check]);
+  if (value === null) delete range[setting.bound];
+  else range[setting.bound] = value;
+  thresholds[setting.check] = range;
+  config[setting.key] = thresholds;
 }
 
-function mergePeriodData(target, source) {
-  let key;
-  for (key in source) {
-    if (!source.hasOwnProperty(key)) continue;
-    if (!target[key]) {
-      target[key] = emptyPeriodData();
-    }
-    target[key].branded.impressions += source[key].branded.impressions;
-    target[key].branded.clicks += source[key].branded.clicks;
-    target[key].branded.cost += source[key].branded.cost;
-    target[key].branded.conversions += source[key].branded.conversions;
-    target[key].branded.conversionsValue += source[key].branded.conversionsValue;
-    target[key].nonBranded.impressions += source[key].nonBranded.impressions;
-    target[key].nonBranded.clicks += source[key].nonBranded.clicks;
-    target[key].nonBranded.cost += source[key].nonBranded.cost;
-    target[key].nonBranded.conversions += source[key].nonBranded.conversions;
-    target[key].nonBranded.conversionsValue += source[key].nonBranded.conversionsValue;
+function findConfigTabSetting(name) {
+  const wanted = name.toLowerCase();
+  for (let i = 0; i < CONFIG_TAB_SETTINGS.length; i++) {
+    if (CONFIG_TAB_SETTINGS[i].name.toLowerCase() === wanted) return CONFIG_TAB_SETTINGS[i];
   }
+  return null;
 }
 
-function mergeTotals(target, source) {
-  target.branded.impressions += source.branded.impressions;
-  target.branded.clicks += source.branded.clicks;
-  target.branded.cost += source.branded.cost;
-  target.branded.conversions += source.branded.conversions;
-  target.branded.conversionsValue += source.branded.conversionsValue;
-  target.nonBranded.impressions += source.nonBranded.impressions;
-  target.nonBranded.clicks += source.nonBranded.clicks;
-  target.nonBranded.cost += source.nonBranded.cost;
-  target.nonBranded.conversions += source.nonBranded.conversions;
-  target.nonBranded.conversionsValue += source.nonBranded.conversionsValue;
+function findBrandGroup(brandGroups, name) {
+  const wanted = name.toLowerCase();
+  for (let i = 0; i < brandGroups.length; i++) {
+    if (String(brandGroups[i].name).toLowerCase() === wanted) return brandGroups[i];
+  }
+  return null;
 }
 
-// ===== FORMAT PERIOD LABEL =====
-function formatPeriodLabel(periodKey) {
-  if (TIME_GRANULARITY === 'week') {
-    return 'w/c ' + periodKey;
+// Checks that settings make sense together; returns a list of problems (empty when valid)
+function validateConfig(config) {
+  const errors = [];
+  if (!TIME_GRANULARITIES.hasOwnProperty(config.timeGranularity)) {
+    errors.push('Time Granularity must be one of: ' + Object.keys(TIME_GRANULARITIES).join(', '));
   }
-  const parts = String(periodKey).split('-');
-  if (parts.length >= 2) {
-    const year = parts[0];
-    const monthNum = parseInt(parts[1], 10);
-    const d = new Date(year, monthNum - 1, 1);
-    return Utilities.formatDate(d, AdsApp.currentAccount().getTimeZone(), 'MMM yyyy');
+  if (WEEK_DAYS.indexOf(config.weekStartDay) === -1) {
+    errors.push('Week Start Day must be one of: ' + WEEK_DAYS.join(', '));
   }
-  return periodKey;
+  if (PARTIAL_PERIOD_CHOICES.indexOf(config.partialPeriodsInCharts) === -1) {
+    errors.push('Partial Periods In Charts must be one of: ' + PARTIAL_PERIOD_CHOICES.join(', '));
+  }
+  if (['branded', 'competitor'].indexOf(config.brandAndCompetitorPriority) === -1) {
+    errors.push("Brand + Competitor Priority must be 'branded' or 'competitor'");
+  }
+  if (!config.channels || config.channels.length === 0) {
+    errors.push('At least one channel is required');
+  } else {
+    config.channels.forEach(function (name) {
+      if (!findChannelDefinition(name)) errors.push('Unknown channel "' + name + '"');
+    });
+  }
+  if (!(config.lookbackDays >= 1)) {
+    errors.push('Lookback Days must be at least 1');
+  }
+  if (!!config.startDate !== !!config.endDate) {
+    errors.push('Start Date and End Date must be set together (or both left empty to use Lookback Days)');
+  } else if (config.startDate && config.startDate > config.endDate) {
+    errors.push('Start Date ' + config.startDate + ' is after End Date ' + config.endDate);
+  }
+  if (['zscore', 'threshold'].indexOf(config.alertMethod) === -1) {
+    errors.push("Alert Method must be 'zscore' or 'threshold'");
+  }
+  const thresholds = config.alertThresholds || {};
+  Object.keys(thresholds).forEach(function (check) {
+    const settings = CONFIG_TAB_SETTINGS.filter(function (setting) { return setting.check === check; });
+    if (settings.length === 0) {
+      errors.push('Alert thresholds have no check named "' + check + '"');
+      return;
+    }
+    const range = thresholds[check] || {};
+    settings.forEach(function (setting) {
+      const value = range[setting.bound];
+      if (value !== undefined && !(typeof value === 'number' && value >= 0)) {
+        errors.push(setting.name + ' must be a number >= 0');
+      } else if (check === 'brandedShare' && value > 1) {
+        errors.push(setting.name + ' is a share of cost and must be between 0 and 1 (0.4 = 40%)');
+      }
+    });
+    if (typeof range.min === 'number' && typeof range.max === 'number' && range.min > range.max) {
+      errors.push(settings[0].name + ' ' + range.min + ' is above ' + settings[1].name + ' ' + range.max);
+    }
+  });
+  if (config.alertsEnabled && config.alertMethod === 'threshold' && !Object.keys(thresholds).some(function (check) {
+    return thresholds[check] && (thresholds[check].min !== undefined || thresholds[check].max !== undefined);
+  })) {
+    errors.push("Alert Method 'threshold' needs at least one threshold row (e.g. Alert Branded Share Max)");
+  }
+  ['Campaign Name Regex', 'Campaign Name Exclude Regex', 'Brand Campaign Name Pattern', 'By Campaign Name Pattern'].forEach(function (name) {
+    try {
+      new RegExp(config[findConfigTabSetting(name).key] || '', 'i');
+    } catch (e) {
+      errors.push(name + ' is not a valid regex: ' + e.message);
+    }
+  });
+  (config.campaignStatuses || []).forEach(function (status) {
+    if (CAMPAIGN_STATUS_CHOICES.indexOf(status) === -1) {
+      errors.push('Campaign Statuses must be from ' + CAMPAIGN_STATUS_CHOICES.join(', ') + ', got "' + status + '"');
+    }
+  });
+  if ((config.includeCannibalisation || config.includeSuggestedNegatives) && !config.brandCampaignNamePattern && !config.brandCampaignLabel) {
+    errors.push('Include Cannibalisation and Include Suggested Negatives need a Brand Campaign Name Pattern or Brand Campaign Label');
+  }
+  if (config.applyNegatives && !config.includeSuggestedNegatives) {
+    errors.push('Apply Negatives needs Include Suggested Negatives');
+  }
+  if (config.applyNegatives && !config.negativeListName) {
+    errors.push('Apply Negatives needs a Negative List Name');
+  }
+  if (config.alertsEnabled && (!config.alertRecipients || config.alertRecipients.length === 0)) {
+    errors.push('Alerts Enabled needs at least one Alert Recipients address');
+  }
+  if (config.summaryEmailEnabled && (!config.summaryRecipients || config.summaryRecipients.length === 0)) {
+    errors.push('Summary Email Enabled needs at least one Summary Recipients address');
+  }
+  if (SUMMARY_SCHEDULES.indexOf(config.summarySchedule) === -1) {
+    errors.push('Summary Schedule must be one of: ' + SUMMARY_SCHEDULES.join(', '));
+  }
+  if (WEEK_DAYS.indexOf(config.summaryWeekDay) === -1) {
+    errors.push('Summary Week Day must be one of: ' + WEEK_DAYS.join(', '));
+  }
+  if (!(config.summaryMonthDay >= 1 && config.summaryMonthDay <= 28)) {
+    errors.push('Summary Month Day must be between 1 and 28, so it falls in every month');
+  }
+  if (config.exportCsv && !config.exportFolder) {
+    errors.push('Export CSV needs an Export Folder');
+  }
+  if (config.exportBigQuery && (!config.bigQueryProjectId || !config.bigQueryDatasetId || !config.bigQueryTableId)) {
+    errors.push('Export BigQuery needs a BigQuery Project ID, BigQuery Dataset ID and BigQuery Table ID');
+  }
+  ['BigQuery Dataset ID', 'BigQuery Table ID'].forEach(function (name) {
+    const value = config[findConfigTabSetting(name).key];
+    if (value && !/^\w+$/.test(value)) {
+      errors.push(name + ' may only contain letters, numbers and underscores, got "' + value + '"');
+    }
+  });
+  if (!config.brandGroups || config.brandGroups.length === 0) {
+    errors.push('At least one brand group is required');
+  } else {
+    const seen = {};
+    config.brandGroups.forEach(function (group) {
+      const key = String(group.name || '').toLowerCase();
+      if (!key) errors.push('Every brand group needs a name');
+      else if (seen[key]) errors.push('Duplicate brand group "' + group.name + '"');
+      seen[key] = true;
+      if (!group.tokens || group.tokens.length === 0) {
+        errors.push('Brand group "' + group.name + '" has no tokens');
+      }
+    });
+  }
+  return errors;
+}
+
+// Reads the optional Config tab and returns the settings for this run. Blank values keep the
+// in-script default. overrides (MCC per-account settings, keyed like buildDefaultConfig) are applied
+// last. Every problem is written next to its row (column C) and reported in a single error, so a
+// run never continues with partly applied settings.
+function loadConfig(ss, overrides) {
+  const config = buildDefaultConfig();
+  const sheet = ss.getSheetByName(CONFIG_TAB_NAME);
+  const errors = [];
+
+  if (sheet && sheet.getLastRow() >= 2) {
+    const timeZone = AdsApp.currentAccount().getTimeZone();
+    const lastRow = sheet.getLastRow();
+    const values = sheet.getRange(1, 1, lastRow, 2).getValues();
+    sheet.getRange(2, 3, lastRow - 1, 1).clearContent();
+
+    const tabGroups = [];
+    const exclusionRows = [];
+    for (let i = 1; i < values.length; i++) {
+      const name = String(values[i][0]).trim();
+      const value = values[i][1];
+      if (!name || value === '' || value === null) continue;
+      try {
+        const groupMatch = name.match(/^Brand Group:\s*(.+)$/i);
+        const exclusionMatch = name.match(/^Brand Exclusions:\s*(.+)$/i);
+        if (groupMatch) {
+          tabGroups.push({ name: groupMatch[1].trim(), tokens: parseTokenList(value), exclusions: [] });
+        } else if (exclusionMatch) {
+          exclusionRows.push({ row: i + 1, groupName: exclusionMatch[1].trim(), exclusions: parseTokenList(value) });
+        } else {
+          const setting = findConfigTabSetting(name);
+          if (!setting) throw new Error('unknown setting "' + name + '"');
+          if (setting.check) {
+            setThresholdBound(config, setting, setting.parse(value, timeZone));
+          } else {
+            config[setting.key] = setting.parse(value, timeZone);
+          }
+        }
+      } catch (e) {
+        errors.push({ row: i + 1, message: name + ': ' + e.message });
+      }
+    }
+
+    // Copy groups so exclusions from the tab never modify BRAND_GROUPS itself
+    config.brandGroups = (tabGroups.length > 0 ? tabGroups : config.brandGroups).map(function (group) {
+      return Object.assign({}, group);
+    });
+    exclusionRows.forEach(function (entry) {
+      const group = findBrandGroup(config.brandGroups, entry.groupName);
+      if (!group) {
+        errors.push({ row: entry.row, message: 'Brand Exclusions: no brand group named "' + entry.groupName + '"' });
+        return;
+      }
+      group.exclusions = entry.exclusions;
+    });
+    config.source = 'Config tab';
+  }
+
+  Object.keys(overrides || {}).forEach(function (key) {
+    config[key] = overrides[key];
+  });
+
+  validateConfig(config).forEach(function (message) {
+    errors.push({ row: null, message: message });
+  });
+  // Only the Ads run fetches Pmax Categories, so this is checked here rather than in validateConfig
+  if (config.timeGranularity === 'day' && config.includePmaxCategories && config.channels &&
+      config.channels.indexOf('Pmax') !== -1) {
+    errors.push({ row: null, message: "Include Pmax Categories runs one query per day per Pmax campaign with Time Granularity 'day'; " +
+      "set Include Pmax Categories to no or use 'week' or longer" });
+  }
+
+  if (errors.length > 0) {
+    errors.sort(function (a, b) { return (a.row || Infinity) - (b.row || Infinity); });
+    errors.forEach(function (e) {
+      if (e.row && sheet) sheet.getRange(e.row, 3).setValue('Error: ' + e.message);
+    });
+    throw new Error('Invalid settings (' + config.source + '), ' + errors.length + ' error(s):\n' +
+      errors.map(function (e) { return (e.row ? '  row ' + e.row + ': ' : '  ') + e.message; }).join('\n'));
+  }
+  return config;
+}
+
+// Settings for the core outside Google Ads: the in-script defaults with overrides (keyed like
+// buildDefaultConfig) applied, validated like loadConfig.
+function buildConfig(overrides) {
+  const config = buildDefaultConfig();
+  Object.keys(overrides || {}).forEach(function (key) {
+    config[key] = overrides[key];
+  });
+  const errors = validateConfig(config);
+  if (errors.length > 0) {
+    throw new Error('Invalid settings, ' + errors.length + ' error(s):\n' +
+      errors.map(function (message) { return '  ' + message; }).join('\n'));
+  }
+  return config;
+}
+
+// ===== BRAND MATCHING =====
+const TOKEN_MATCH_TYPES = ['exact', 'phrase', 'regex'];
+const WORD_CHARS = '0-9a-z\\u00C0-\\u024F'; // Letters/digits (incl. accented Latin) for whole-word boundaries
+
+// Token as { text, match, maxEdits }; plain strings are phrase tokens. maxEdits is undefined unless set on the token.
+function normalizeToken(token) {
+  if (typeof token === 'string') {
+    return { text: token, match: 'phrase', maxEdits: undefined };
+  }
+  return {
+    text: token && token.text,
+    match: (token && token.match) || 'phrase',
+    maxEdits: token ? token.maxEdits : undefined
+  };
+}
+
+// Strips accents/diacritics ("sistérs" -> "sisters") so tokens and terms compare on base letters
+function normalizeText(text) {
+  return String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+// Fuzzy comparison form: lowercase letters and digits only, repeated letters collapsed
+// ("Food Sistérs" -> "fodsisters", "fooodsisters" -> "fodsisters")
+function compactText(text) {
+  return normalizeText(text).toLowerCase().replace(/[^0-9a-z]/g, '').replace(/(.)\1+/g, '$1');
+}
+
+// Regex source for a literal token: separators and spaces before digits optional
+function tokenToPatternSource(text) {
+  return text
+    .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/[- ]/g, '[-_ ]?')
+    .replace(/([0-9])/g, ' ?$1');
+}
+
+// Case-insensitive RegExp for one token according to its match type
+function buildTokenRegex(token, wholeWord) {
+  const t = normalizeToken(token);
+  if (!t.text || typeof t.text !== 'string') {
+    throw new Error('Token is missing text: ' + JSON.stringify(token));
+  }
+  if (TOKEN_MATCH_TYPES.indexOf(t.match) === -1) {
+    throw new Error('Unknown match type "' + t.match + '" for token "' + t.text + '" (use exact, phrase or regex)');
+  }
+  if (t.match === 'regex') {
+    try {
+      return new RegExp(t.text, 'i');
+    } catch (e) {
+      throw new Error('Invalid regex token "' + t.text + '": ' + e.message);
+    }
+  }
+  const source = tokenToPatternSource(normalizeText(t.text));
+  if (t.match === 'exact') {
+    return new RegExp('^\\s*' + source + '\\s*$', 'i');
+  }
+  if (wholeWord) {
+    return new RegExp('(?<![' + WORD_CHARS + '])' + source + '(?![' + WORD_CHARS + '])', 'i');
+  }
+  return new RegExp(source, 'i');
+}
+
+// Edits allowed for a token in the fuzzy pass, or -1 when the token is never fuzzy matched
+// (fuzzy matching off, regex token, or token shorter than the Fuzzy Min Token Length)
+function fuzzyEditsFor(config, t, compact, defaultMaxEdits) {
+  if (!config.fuzzyMatching || t.match === 'regex' || compact.length < config.fuzzyMinTokenLength) return -1;
+  const maxEdits = t.maxEdits !== undefined ? t.maxEdits : defaultMaxEdits;
+  if (typeof maxEdits !== 'number' || maxEdits < 0) {
+    throw new Error('maxEdits for token "' + t.text + '" must be a number >= 0');
+  }
+  return Math.min(maxEdits, Math.floor(compact.length / config.fuzzyCharsPerEdit));
+}
+
+// Compiled token: { text, regex, compact, exact, maxEdits }
+function buildTokenMatcher(config, token, wholeWord, defaultMaxEdits) {
+  const t = normalizeToken(token);
+  const regex = buildTokenRegex(token, wholeWord);
+  const compact = t.match === 'regex' ? '' : compactText(t.text);
+  return {
+    text: t.text,
+    regex: regex,
+    compact: compact,
+    exact: t.match === 'exact',
+    maxEdits: fuzzyEditsFor(config, t, compact, defaultMaxEdits)
+  };
+}
+
+function buildTokenMatchers(config, tokens, wholeWord, defaultMaxEdits) {
+  return (tokens || []).map(function (token) {
+    return buildTokenMatcher(config, token, wholeWord, defaultMaxEdits);
+  });
+}
+
+function groupWholeWord(config, group) {
+  return group.wholeWord !== undefined ? !!group.wholeWord : config.brandWholeWord;
+}
+
+function groupMaxEdits(config, group) {
+  return group.maxEdits !== undefined ? group.maxEdits : config.fuzzyDefaultMaxEdits;
+}
+
+// One matcher per brand group, in brand group order
+function buildBrandPatterns(config) {
+  return config.brandGroups.map(function (group) {
+    const wholeWord = groupWholeWord(config, group);
+    try {
+      return {
+        name: group.name,
+        tokens: buildTokenMatchers(config, group.tokens, wholeWord, groupMaxEdits(config, group)),
+        exclusions: buildTokenMatchers(config, group.exclusions, wholeWord, 0)
+      };
+    } catch (e) {
+      throw new Error('Brand group "' + group.name + '": ' + e.message);
+    }
+  });
+}
+
+function buildCompetitorPatterns(config) {
+  return buildTokenMatchers(config, config.competitorTokens, config.brandWholeWord, config.fuzzyDefaultMaxEdits);
+}
+
+// Compiled brand and competitor matchers for one config: { config, brandPatterns, competitorPatterns }.
+// Every classification function takes one, so the same config can be matched outside Google Ads.
+function buildClassifier(config) {
+  return {
+    config: config,
+    brandPatterns: buildBrandPatterns(config),
+    competitorPatterns: buildCompetitorPatterns(config)
+  };
+}
+
+// Classifier for CONFIG, built once per account by runAnalysis
+let CLASSIFIER = null;
+
+// Optimal string alignment distance: insertions, deletions, substitutions and swapped neighbours
+// each cost 1. With anywhere = true, pattern is compared against the closest substring of text.
+function editDistance(pattern, text, anywhere) {
+  const m = pattern.length;
+  let prevPrev = null;
+  let prev = [];
+  for (let i = 0; i <= m; i++) prev.push(i);
+  let best = prev[m];
+  for (let j = 1; j <= text.length; j++) {
+    const cur = [anywhere ? 0 : j];
+    for (let i = 1; i <= m; i++) {
+      const cost = pattern[i - 1] === text[j - 1] ? 0 : 1;
+      let d = Math.min(prev[i] + 1, cur[i - 1] + 1, prev[i - 1] + cost);
+      if (i > 1 && j > 1 && pattern[i - 1] === text[j - 2] && pattern[i - 2] === text[j - 1]) {
+        d = Math.min(d, prevPrev[i - 2] + 1);
+      }
+      cur.push(d);
+    }
+    best = anywhere ? Math.min(best, cur[m]) : cur[m];
+    prevPrev = prev;
+    prev = cur;
+  }
+  return best;
+}
+
+function matchesAny(matchers, text) {
+  return matchers.some(function (matcher) { return matcher.regex.test(text); });
+}
+
+// Closest fuzzy token within its edit budget: { token, distance }, or null
+function fuzzyMatch(matchers, compact) {
+  let best = null;
+  matchers.forEach(function (matcher) {
+    if (matcher.maxEdits < 0 || !compact) return;
+    const distance = editDistance(matcher.compact, compact, !matcher.exact);
+    if (distance <= matcher.maxEdits && (!best || distance < best.distance)) {
+      best = { token: matcher.text, distance: distance };
+    }
+  });
+  return best;
+}
+
+// Returns { name, fuzzy } for the brand group matching the text, or null when non-branded.
+// Strict token matches (in group order) win over fuzzy ones; fuzzy is { token, distance } for
+// near-matches. A group whose exclusions match the text is skipped.
+function findBrandMatch(classifier, text) {
+  if (!text || typeof text !== 'string') return null;
+  const normalized = normalizeText(text);
+  const candidates = classifier.brandPatterns.filter(function (group) {
+    return !matchesAny(group.exclusions, normalized);
+  });
+  for (let i = 0; i < candidates.length; i++) {
+    if (matchesAny(candidates[i].tokens, normalized)) return { name: candidates[i].name, fuzzy: null };
+  }
+  if (!classifier.config.fuzzyMatching) return null;
+  const compact = compactText(text);
+  for (let i = 0; i < candidates.length; i++) {
+    const fuzzy = fuzzyMatch(candidates[i].tokens, compact);
+    if (fuzzy) return { name: candidates[i].name, fuzzy: fuzzy };
+  }
+  return null;
+}
+
+// Returns the name of the brand group matching the text, or null when non-branded
+function matchBrandGroup(classifier, text) {
+  const match = findBrandMatch(classifier, text);
+  return match ? match.name : null;
+}
+
+function isBranded(classifier, text) {
+  return matchBrandGroup(classifier, text) !== null;
+}
+
+function isCompetitor(classifier, text) {
+  const patterns = classifier.competitorPatterns;
+  if (patterns.length === 0 || !text || typeof text !== 'string') return false;
+  if (matchesAny(patterns, normalizeText(text))) return true;
+  return classifier.config.fuzzyMatching && fuzzyMatch(patterns, compactText(text)) !== null;
+}
+
+// Human-readable token list for the Info tab, e.g. "foodsisters (phrase, whole word, up to 1 typo)"
+function describeTokens(config, tokens, wholeWord, defaultMaxEdits) {
+  return (tokens || []).map(function (token) {
+    const t = normalizeToken(token);
+    const details = [t.match];
+    if (t.match === 'phrase' && wholeWord) details.push('whole word');
+    if (defaultMaxEdits !== undefined) {
+      const edits = fuzzyEditsFor(config, t, t.match === 'regex' ? '' : compactText(t.text), defaultMaxEdits);
+      if (edits > 0) details.push('up to ' + edits + (edits === 1 ? ' typo' : ' typos'));
+    }
+    return t.text + ' (' + details.join(', ') + ')';
+  }).join(', ');
+}
+
+// Classifies a term into { segment: 'branded' | 'competitor' | 'nonBranded', brandGroup, fuzzy }.
+// fuzzy is { token, distance } when the brand match came from the typo-tolerant pass.
+// Terms matching both brand and competitor tokens follow the Brand + Competitor Priority setting.
+// ignoreBrand skips brand matching (used by Pmax Treat All As Non-Branded).
+function classifyTerm(classifier, text, ignoreBrand) {
+  const brandMatch = ignoreBrand ? null : findBrandMatch(classifier, text);
+  const competitor = isCompetitor(classifier, text);
+  if (brandMatch && !(competitor && classifier.config.brandAndCompetitorPriority === 'competitor')) {
+    return { segment: 'branded', brandGroup: brandMatch.name, fuzzy: brandMatch.fuzzy };
+  }
+  if (competitor) {
+    return { segment: 'competitor', brandGroup: null, fuzzy: null };
+  }
+  return { segment: 'nonBranded', brandGroup: null, fuzzy: null };
+}
+
+function emptyMetrics() {
+  return {
+    impressions: 0,
+    clicks: 0,
+    cost: 0,
+    conversions: 0,
+    conversionsValue: 0
+  };
+}
+
+// Per brand group metrics, keyed by group name; branded is always the sum of all groups
+function emptyGroupMetrics(config) {
+  const groups = {};
+  config.brandGroups.forEach(function (group) {
+    groups[group.name] = emptyMetrics();
+  });
+  return groups;
+}
+
+function emptyPeriodData(config) {
+  return {
+    branded: emptyMetrics(),
+    competitor: emptyMetrics(),
+    nonBranded: emptyMetrics(),
+    unclassifiable: emptyMetrics(),
+    groups: emptyGroupMetrics(config)
+  };
+}
+
+// For Pmax Categories - includes blank category for unidentifiable search categories
+function emptyPeriodDataWithBlank(config) {
+  return {
+    branded: emptyMetrics(),
+    competitor: emptyMetrics(),
+    nonBranded: emptyMetrics(),
+    unclassifiable: emptyMetrics(),
+    blank: emptyMetrics(),
+    groups: emptyGroupMetrics(config)
+  };
+}
+
+function addMetrics(target, rowMetrics) {
+  target.impressions += rowMetrics.impressions;
+  target.clicks += rowMetrics.clicks;
+  target.cost += rowMetrics.cost;
+  target.conversions += rowMetrics.conversions;
+  target.conversionsValue += rowMetrics.conversionsValue;
+}
+
+// classification: result of classifyTerm(), { segment: 'blank' } for Pmax Categories or
+// { segment: 'unclassifiable' } for spend without query or keyword data
+function addRowToSegments(bucket, classification, rowMetrics) {
+  addMetrics(bucket[classification.segment], rowMetrics);
+  const brandGroup = classification.brandGroup;
+  if (brandGroup) {
+    if (!bucket.groups[brandGroup]) bucket.groups[brandGroup] = emptyMetrics();
+    addMetrics(bucket.groups[brandGroup], rowMetrics);
+  }
+}
+
+function addRowToPeriodData(config, periodData, periodKey, classification, rowMetrics) {
+  if (!periodData[periodKey]) {
+    periodData[periodKey] = emptyPeriodData(config);
+  }
+  addRowToSegments(periodData[periodKey], classification, rowMetrics);
+}
+
+function addRowToPeriodDataWithBlank(config, periodData, periodKey, classification, rowMetrics) {
+  if (!periodData[periodKey]) {
+    periodData[periodKey] = emptyPeriodDataWithBlank(config);
+  }
+  addRowToSegments(periodData[periodKey], classification, rowMetrics);
+}
+
+// Top Terms and N-grams read the per-term totals of each channel
+function needsTermTotals(config) {
+  return config.includeTopTerms || config.includeNgrams;
+}
+
+// By Campaign, Cannibalisation and Suggested Negatives read the per-campaign data of each channel
+function needsCampaignTotals(config) {
+  return config.includeByCampaign || config.includeCannibalisation || config.includeSuggestedNegatives;
+}
+
+// Per-term totals keyed by lowercase term, for the Top Terms and N-grams tabs
+function addTermMetrics(terms, text, classification, rowMetrics) {
+  const key = text.toLowerCase();
+  if (!terms[key]) {
+    terms[key] = {
+      term: text,
+      segment: classification.segment,
+      brandGroup: classification.brandGroup || '',
+      fuzzy: !!classification.fuzzy,
+      metrics: emptyMetrics()
+    };
+  }
+  addMetrics(terms[key].metrics, rowMetrics);
+}
+
+// Near-match (fuzzy) brand terms keyed by lowercase term, for the Brand Misspellings tab
+function addNearMatch(nearMatches, text, classification, rowMetrics) {
+  if (!classification.fuzzy) return;
+  const key = text.toLowerCase();
+  if (!nearMatches[key]) {
+    nearMatches[key] = {
+      term: text,
+      brandGroup: classification.brandGroup,
+      token: classification.fuzzy.token,
+      distance: classification.fuzzy.distance,
+      metrics: emptyMetrics()
+    };
+  }
+  addMetrics(nearMatches[key].metrics, rowMetrics);
+}
+
+// Metrics of an API report row (string counts, cost in micros) as numbers, cost in account currency
+function reportRowMetrics(m) {
+  const metrics = m || {};
+  return {
+    impressions: Number(metrics.impressions) || 0,
+    clicks: Number(metrics.clicks) || 0,
+    cost: (Number(metrics.costMicros) || 0) / 1000000,
+    conversions: Number(metrics.conversions) || 0,
+    conversionsValue: Number(metrics.conversionsValue) || 0
+  };
+}
+
+// ===== SEARCH TERM AGGREGATION =====
+// Search term rows, from the API or an export, are { text, campaign: { id, name }, periodKey, metrics }.
+// They add up into a channel's data: { totals, periodData, nearMatches, terms, campaigns }.
+
+function emptyTermData(config) {
+  return { totals: emptyPeriodData(config), periodData: {}, nearMatches: {}, terms: {}, campaigns: {} };
+}
+
+// Terms and campaigns are only kept when a tab reads them, so memory grows with the periods, not the terms
+function addTermRow(classifier, data, row, ignoreBrand) {
+  const config = classifier.config;
+  const classification = classifyTerm(classifier, row.text, ignoreBrand);
+  addRowToSegments(data.totals, classification, row.metrics);
+  addRowToPeriodData(config, data.periodData, row.periodKey, classification, row.metrics);
+  addNearMatch(data.nearMatches, row.text, classification, row.metrics);
+  if (needsTermTotals(config)) addTermMetrics(data.terms, row.text, classification, row.metrics);
+  addRowToCampaigns(config, data.campaigns, row.campaign, row.text, row.periodKey, classification, row.metrics);
+}
+
+function aggregateTermRows(classifier, rows, ignoreBrand) {
+  const data = emptyTermData(classifier.config);
+  rows.forEach(function (row) {
+    addTermRow(classifier, data, row, ignoreBrand);
+  });
+  return data;
+}
+
+// Pmax terms the advertiser excluded (EXCLUDED / ADDED_EXCLUDED) are left out, to match the UI
+function isExcludedTargetingStatus(status) {
+  if (status === undefined || status === null) return false;
+  const s = String(status).toUpperCase();
+  return s === 'EXCLUDED' || s === 'ADDED_EXCLUDED';
+}
+
+// ===== CAMPAIGNS =====
+// Label names per campaign ID, loaded once per account by runAnalysis when a label setting needs them
+let CAMPAIGN_LABELS = {};
+
+function loadCampaignLabels() {
+  const labels = {};
+  const report = AdsApp.search('SELECT campaign.id, label.name FROM campaign_label');
+  while (report.hasNext()) {
+    const row = report.next();
+    if (!row.campaign || !row.label) continue;
+    const id = String(row.campaign.id);
+    if (!labels[id]) labels[id] = [];
+    labels[id].push(row.label.name);
+  }
+  return labels;
+}
+
+// Labels are only fetched when a label-based setting is in use
+function needsCampaignLabels(config) {
+  if ((config.includeCannibalisation || config.includeSuggestedNegatives) && config.brandCampaignLabel) return true;
+  if (config.campaignIncludeLabels.length > 0 || config.campaignExcludeLabels.length > 0) return true;
+  return config.includeByCampaign && !!config.byCampaignLabel;
+}
+
+function campaignHasLabel(labels, campaignId, labelName) {
+  const wanted = String(labelName).toLowerCase();
+  return (labels[campaignId] || []).some(function (name) {
+    return String(name).toLowerCase() === wanted;
+  });
+}
+
+function isBrandCampaign(config, labels, campaign) {
+  if (config.brandCampaignNamePattern && new RegExp(config.brandCampaignNamePattern, 'i').test(campaign.name)) return true;
+  return !!config.brandCampaignLabel && campaignHasLabel(labels, campaign.id, config.brandCampaignLabel);
+}
+
+// Per-campaign totals and period data keyed by campaign ID, shaped like a channel's { totals, periodData }.
+// Kept only when needsCampaignTotals; per-term totals only when Suggested Negatives need them, for rows with a term.
+function addRowToCampaigns(config, campaigns, rowCampaign, text, periodKey, classification, rowMetrics) {
+  if (!rowCampaign || !rowCampaign.id || !needsCampaignTotals(config)) return;
+  const id = String(rowCampaign.id);
+  if (!campaigns[id]) {
+    campaigns[id] = { id: id, name: rowCampaign.name || '', totals: emptyPeriodData(config), periodData: {}, terms: {} };
+  }
+  addRowToSegments(campaigns[id].totals, classification, rowMetrics);
+  addRowToPeriodData(config, campaigns[id].periodData, periodKey, classification, rowMetrics);
+  if (config.includeSuggestedNegatives && text) {
+    addTermMetrics(campaigns[id].terms, text, classification, rowMetrics);
+  }
+}
+
+// ===== CAMPAIGN FILTERS =====
+// IDs of the campaigns passing the campaign filters, resolved once per account by runAnalysis
+// (null when no campaign filter is set)
+let CAMPAIGN_FILTER_IDS = null;
+
+// Active campaign filters as [label, description] rows for the Info tab
+function describeCampaignFilters(config) {
+  const filters = [];
+  function addList(label, values) {
+    if (values && values.length > 0) filters.push([label, values.join(', ')]);
+  }
+  addList('Campaign Name Contains', config.campaignNameContains);
+  addList('Campaign Name Not Contains', config.campaignNameNotContains);
+  if (config.campaignNameRegex) filters.push(['Campaign Name Regex', '/' + config.campaignNameRegex + '/i']);
+  if (config.campaignNameExcludeRegex) filters.push(['Campaign Name Exclude Regex', '/' + config.campaignNameExcludeRegex + '/i']);
+  addList('Campaign Include Labels', config.campaignIncludeLabels);
+  addList('Campaign Exclude Labels', config.campaignExcludeLabels);
+  addList('Campaign Statuses', config.campaignStatuses);
+  addList('Campaign IDs', config.campaignIds);
+  addList('Campaign Exclude IDs', config.campaignExcludeIds);
+  return filters;
+}
+
+function campaignPassesFilters(config, labels, campaign) {
+  const name = String(campaign.name || '').toLowerCase();
+  const id = String(campaign.id);
+  function nameContainsAny(parts) {
+    return parts.some(function (part) { return name.indexOf(String(part).toLowerCase()) !== -1; });
+  }
+  function hasAnyLabel(names) {
+    return names.some(function (label) { return campaignHasLabel(labels, id, label); });
+  }
+  if (config.campaignNameContains.length > 0 && !nameContainsAny(config.campaignNameContains)) return false;
+  if (nameContainsAny(config.campaignNameNotContains)) return false;
+  if (config.campaignNameRegex && !new RegExp(config.campaignNameRegex, 'i').test(campaign.name)) return false;
+  if (config.campaignNameExcludeRegex && new RegExp(config.campaignNameExcludeRegex, 'i').test(campaign.name)) return false;
+  if (config.campaignIncludeLabels.length > 0 && !hasAnyLabel(config.campaignIncludeLabels)) return false;
+  if (hasAnyLabel(config.campaignExcludeLabels)) return false;
+  if (config.campaignStatuses.length > 0 && config.campaignStatuses.indexOf(String(campaign.status)) === -1) return false;
+  if (config.campaignIds.length > 0 && config.campaignIds.indexOf(id) === -1) return false;
+  return config.campaignExcludeIds.indexOf(id) === -1;
+}
+
+// Checks every campaign of the account against the filters; null when none are set
+function resolveCampaignFilter(config, labels) {
+  if (describeCampaignFilters(config).length === 0) return null;
+  const ids = [];
+  const report = AdsApp.search('SELECT campaign.id, campaign.name, campaign.status FROM campaign');
+  while (report.hasNext()) {
+    const row = report.next();
+    if (row.campaign && campaignPassesFilters(config, labels, row.campaign)) ids.push(String(row.campaign.id));
+  }
+  if (ids.length === 0) {
+    throw new Error('No campaigns match the campaign filters');
+  }
+  Logger.log('[Filters] ' + ids.length + ' campaign(s) match the campaign filters.');
+  return ids;
+}
+
+// Extra WHERE condition lines restricting a query to the filtered campaigns
+function getCampaignFilterConditions(filterIds) {
+  return filterIds ? ['  AND campaign.id IN (' + filterIds.join(', ') + ')'] : [];
+}
+
+// By Campaign filters (name pattern and label); true when no filter is set
+function matchesByCampaignFilters(config, labels, campaign) {
+  if (config.byCampaignNamePattern && !new RegExp(config.byCampaignNamePattern, 'i').test(campaign.name)) return false;
+  return !config.byCampaignLabel || campaignHasLabel(labels, campaign.id, config.byCampaignLabel);
+}
+
+// ===== CHANNELS =====
+// Every channel the script can analyse, in tab order. source is where brand classification comes from:
+//   searchTerms     - search_term_view
+//   pmaxSearchTerms - campaign_search_term_view (hasCategories: also has Pmax Categories tabs)
+//   keywords        - keyword_view (targeting keywords); campaign spend not covered is Unclassifiable
+//   none            - no query or keyword data; all campaign spend is Unclassifiable
+const CHANNEL_DEFINITIONS = [
+  { name: 'Search', channelType: 'SEARCH', source: 'searchTerms' },
+  { name: 'Pmax', channelType: 'PERFORMANCE_MAX', source: 'pmaxSearchTerms', hasCategories: true },
+  { name: 'Shopping', channelType: 'SHOPPING', source: 'searchTerms' },
+  { name: 'Demand Gen', channelType: 'DEMAND_GEN', source: 'none' },
+  { name: 'Display', channelType: 'DISPLAY', source: 'keywords' },
+  { name: 'Video', channelType: 'VIDEO', source: 'keywords' }
+];
+
+function findChannelDefinition(name) {
+  const wanted = String(name).toLowerCase();
+  for (let i = 0; i < CHANNEL_DEFINITIONS.length; i++) {
+    if (CHANNEL_DEFINITIONS[i].name.toLowerCase() === wanted) return CHANNEL_DEFINITIONS[i];
+  }
+  return null;
+}
+
+// Channels in config.channels, in CHANNEL_DEFINITIONS order
+function getActiveChannels(config) {
+  return CHANNEL_DEFINITIONS.filter(function (channel) {
+    return config.channels.indexOf(channel.name) !== -1;
+  });
+}
+
+// Active channels with real search terms (Top Terms, N-grams, Suggested Negatives outside Pmax, Brand Misspellings)
+function getSearchTermChannels(config) {
+  return getActiveChannels(config).filter(function (channel) {
+    return channel.source === 'searchTerms' || channel.source === 'pmaxSearchTerms';
+  });
+}
+
+function hasUnclassifiableSegment(config) {
+  return getActiveChannels(config).some(function (channel) {
+    return channel.source === 'keywords' || channel.source === 'none';
+  });
+}
+
+// Tab names for every known channel (plus its categories tab), for tab ordering
+function channelTabNames(prefix, includeCategories) {
+  const names = [];
+  CHANNEL_DEFINITIONS.forEach(function (channel) {
+    names.push(prefix + channel.name);
+    if (includeCategories && channel.hasCategories) names.push(prefix + channel.name + ' Categories');
+  });
+  return names;
+}
+
+function fetchChannelData(channel, dateRange) {
+  if (channel.source === 'searchTerms') return processSearchTermView(channel.channelType, dateRange);
+  if (channel.source === 'pmaxSearchTerms') return processCampaignSearchTermView(dateRange);
+  if (channel.source === 'keywords') return processKeywordView(channel.channelType, dateRange);
+  return processUnclassifiableChannel(channel.channelType, dateRange);
+}
+
+// ===== DATA FETCHES =====
+
+// dateRange ({ start, end }) is optional and defaults to the report range
+function processSearchTermView(channelType, dateRange) {
+  const dateClause = getDateRangeClause(dateRange);
+  const timeSegment = getTimeSegment(CONFIG);
+  const query = [
+    'SELECT',
+    '  search_term_view.search_term,',
+    '  campaign.id,',
+    '  campaign.name,',
+    '  ' + timeSegment + ',',
+    '  metrics.impressions,',
+    '  metrics.clicks,',
+    '  metrics.cost_micros,',
+    '  metrics.conversions,',
+    '  metrics.conversions_value',
+    'FROM search_term_view',
+    "WHERE " + dateClause,
+    "  AND campaign.advertising_channel_type = '" + channelType + "'"
+  ].concat(getCampaignFilterConditions(CAMPAIGN_FILTER_IDS)).join('\n');
+
+  const data = emptyTermData(CONFIG);
+  const report = AdsApp.search(query);
+  while (report.hasNext()) {
+    try {
+      const row = report.next();
+      const periodKey = getRowPeriodKey(CONFIG, row);
+      if (!periodKey) continue;
+      addTermRow(CLASSIFIER, data, {
+        text: row.searchTermView && row.searchTermView.searchTerm ? row.searchTermView.searchTerm : '',
+        campaign: row.campaign,
+        periodKey: periodKey,
+        metrics: reportRowMetrics(row.metrics)
+      }, false);
+    } catch (e) {
+      Logger.log('Error processing row: ' + e);
+    }
+  }
+  return data;
+}
+
+function processCampaignSearchTermView(dateRange) {
+  const dateClause = getDateRangeClause(dateRange);
+  const timeSegment = getTimeSegment(CONFIG);
+  // Must SELECT segments.search_term_targeting_status to filter excluded terms in code
+  // (API returns all terms including excluded; we skip EXCLUDED / ADDED_EXCLUDED to match UI).
+  const query = [
+    'SELECT',
+    '  campaign_search_term_view.search_term,',
+    '  campaign.id,',
+    '  campaign.name,',
+    '  segments.search_term_targeting_status,',
+    '  ' + timeSegment + ',',
+    '  metrics.impressions,',
+    '  metrics.clicks,',
+    '  metrics.cost_micros,',
+    '  metrics.conversions,',
+    '  metrics.conversions_value',
+    'FROM campaign_search_term_view',
+    'WHERE ' + dateClause,
+    "  AND campaign.advertising_channel_type = 'PERFORMANCE_MAX'"
+  ].concat(getCampaignFilterConditions(CAMPAIGN_FILTER_IDS)).join('\n');
+
+  const data = emptyTermData(CONFIG);
+
+  function targetingStatus(segments) {
+    if (!segments) return undefined;
+    return segments.searchTermTargetingStatus !== undefined
+      ? segments.searchTermTargetingStatus
+      : segments.search_term_targeting_status;
+  }
+
+  const DEBUG_PMAX_ROWS = 0; // Log first N rows to see segments structure; set > 0 to enable
+  let rowIndex = 0;
+  let skippedExcluded = 0;
+
+  const report = AdsApp.search(query);
+  while (report.hasNext()) {
+    try {
+      const row = report.next();
+      rowIndex++;
+
+      const excluded = isExcludedTargetingStatus(targetingStatus(row.segments));
+      if (excluded) skippedExcluded++;
+
+      if (DEBUG_PMAX_ROWS > 0 && rowIndex <= DEBUG_PMAX_ROWS) {
+        const text = row.campaignSearchTermView && row.campaignSearchTermView.searchTerm ? row.campaignSearchTermView.searchTerm : '';
+        Logger.log('[Pmax row ' + rowIndex + '] searchTerm="' + text + '" segments=' + JSON.stringify(row.segments) + ' excluded=' + excluded);
+      }
+
+      if (excluded) continue;
+
+      const periodKey = getRowPeriodKey(CONFIG, row);
+      if (!periodKey) continue;
+      addTermRow(CLASSIFIER, data, {
+        text: row.campaignSearchTermView && row.campaignSearchTermView.searchTerm ? row.campaignSearchTermView.searchTerm : '',
+        campaign: row.campaign,
+        periodKey: periodKey,
+        metrics: reportRowMetrics(row.metrics)
+      }, CONFIG.pmaxTreatAllAsNonBranded);
+    } catch (e) {
+      Logger.log('Error processing row: ' + e);
+    }
+  }
+
+  if (DEBUG_PMAX_ROWS > 0) {
+    Logger.log('[Pmax] Total rows: ' + rowIndex + ', skipped (excluded): ' + skippedExcluded);
+  }
+
+  return data;
+}
+
+// Campaign-level metrics of one channel per period and campaign: [{ campaign, periodKey, metrics }]
+function fetchCampaignMetrics(channelType, dateRange) {
+  const timeSegment = getTimeSegment(CONFIG);
+  const query = [
+    'SELECT',
+    '  campaign.id,',
+    '  campaign.name,',
+    '  ' + timeSegment + ',',
+    '  metrics.impressions,',
+    '  metrics.clicks,',
+    '  metrics.cost_micros,',
+    '  metrics.conversions,',
+    '  metrics.conversions_value',
+    'FROM campaign',
+    'WHERE ' + getDateRangeClause(dateRange),
+    "  AND campaign.advertising_channel_type = '" + channelType + "'"
+  ].concat(getCampaignFilterConditions(CAMPAIGN_FILTER_IDS)).join('\n');
+
+  const rows = [];
+  const report = AdsApp.search(query);
+  while (report.hasNext()) {
+    const row = report.next();
+    const periodKey = getRowPeriodKey(CONFIG, row);
+    if (!periodKey) continue;
+    rows.push({ campaign: row.campaign, periodKey: periodKey, metrics: reportRowMetrics(row.metrics) });
+  }
+  return rows;
+}
+
+// Channels without query or keyword data (e.g. Demand Gen): all campaign spend is Unclassifiable
+function processUnclassifiableChannel(channelType, dateRange) {
+  const totals = emptyPeriodData(CONFIG);
+  const periodData = {};
+  const campaigns = {};
+  const classification = { segment: 'unclassifiable', brandGroup: null };
+  fetchCampaignMetrics(channelType, dateRange).forEach(function (row) {
+    addRowToSegments(totals, classification, row.metrics);
+    addRowToPeriodData(CONFIG, periodData, row.periodKey, classification, row.metrics);
+    addRowToCampaigns(CONFIG, campaigns, row.campaign, '', row.periodKey, classification, row.metrics);
+  });
+  return { totals: totals, periodData: periodData, nearMatches: {}, terms: {}, campaigns: campaigns };
+}
+
+// Display / Video: classifies targeting keywords (keyword_view), then adds the rest of the campaign spend
+// (audience, placement and other non-keyword traffic) as Unclassifiable. Keywords are not search terms,
+// so no term-level data is kept.
+function processKeywordView(channelType, dateRange) {
+  const timeSegment = getTimeSegment(CONFIG);
+  const query = [
+    'SELECT',
+    '  ad_group_criterion.keyword.text,',
+    '  campaign.id,',
+    '  campaign.name,',
+    '  ' + timeSegment + ',',
+    '  metrics.impressions,',
+    '  metrics.clicks,',
+    '  metrics.cost_micros,',
+    '  metrics.conversions,',
+    '  metrics.conversions_value',
+    'FROM keyword_view',
+    'WHERE ' + getDateRangeClause(dateRange),
+    "  AND campaign.advertising_channel_type = '" + channelType + "'"
+  ].concat(getCampaignFilterConditions(CAMPAIGN_FILTER_IDS)).join('\n');
+
+  const totals = emptyPeriodData(CONFIG);
+  const periodData = {};
+  const campaigns = {};
+
+  try {
+    const report = AdsApp.search(query);
+    while (report.hasNext()) {
+      const row = report.next();
+      const text = row.adGroupCriterion && row.adGroupCriterion.keyword ? row.adGroupCriterion.keyword.text : '';
+      const rowMetrics = reportRowMetrics(row.metrics);
+      const periodKey = getRowPeriodKey(CONFIG, row);
+      if (!periodKey || !text) continue;
+
+      const classification = classifyTerm(CLASSIFIER, text, false);
+      addRowToSegments(totals, classification, rowMetrics);
+      addRowToPeriodData(CONFIG, periodData, periodKey, classification, rowMetrics);
+      addRowToCampaigns(CONFIG, campaigns, row.campaign, text, periodKey, classification, rowMetrics);
+    }
+  } catch (e) {
+    Logger.log('[' + channelType + '] Keyword data unavailable, reporting all spend as Unclassifiable: ' + e);
+  }
+
+  // Each campaign's spend per period minus what its keywords account for, so By Campaign adds up to the Raw tab
+  const spend = {};
+  fetchCampaignMetrics(channelType, dateRange).forEach(function (row) {
+    const key = row.campaign.id + '|' + row.periodKey;
+    if (!spend[key]) spend[key] = { campaign: row.campaign, periodKey: row.periodKey, metrics: emptyMetrics() };
+    addMetrics(spend[key].metrics, row.metrics);
+  });
+  const classification = { segment: 'unclassifiable', brandGroup: null };
+  Object.keys(spend).forEach(function (key) {
+    const entry = spend[key];
+    const campaign = campaigns[String(entry.campaign.id)];
+    const keywords = campaign ? campaign.periodData[entry.periodKey] : null;
+    const classified = keywords ? totalMetrics(keywords) : emptyMetrics();
+    const rest = {};
+    Object.keys(entry.metrics).forEach(function (metric) {
+      rest[metric] = Math.max(0, entry.metrics[metric] - classified[metric]);
+    });
+    addRowToSegments(totals, classification, rest);
+    addRowToPeriodData(CONFIG, periodData, entry.periodKey, classification, rest);
+    addRowToCampaigns(CONFIG, campaigns, entry.campaign, '', entry.periodKey, classification, rest);
+  });
+
+  return { totals: totals, periodData: periodData, nearMatches: {}, terms: {}, campaigns: campaigns };
+}
+
+// Pmax Consumer Spotlight: campaign_search_term_insight provides category-level data.
+// No cost metrics available; only impressions, clicks, conversions, conversion value.
+// Note: This resource doesn't support segments.month/week/date with campaign_id filter,
+// so we run separate queries for each time period ('day' granularity is refused by loadConfig for this reason).
+// dateRange ({ start, end }) is optional and defaults to the report range. With a checkpoint ({ ss, state }),
+// finished (period, campaign) queries are skipped and new ones recorded in state.pmaxCategories.
+function processCampaignSearchTermInsight(dateRange, checkpoint) {
+  // First get the Pmax campaign IDs, restricted by the same campaign filters as the other channels
+  const campaignQuery = [
+    'SELECT campaign.id, campaign.name',
+    'FROM campaign',
+    "WHERE campaign.advertising_channel_type = 'PERFORMANCE_MAX'"
+  ].concat(getCampaignFilterConditions(CAMPAIGN_FILTER_IDS)).join('\n');
+
+  const campaignIds = [];
+  const campaignReport = AdsApp.search(campaignQuery);
+  while (campaignReport.hasNext()) {
+    const row = campaignReport.next();
+    if (row.campaign && row.campaign.id) {
+      campaignIds.push(row.campaign.id);
+    }
+  }
+
+  if (campaignIds.length === 0) {
+    Logger.log('[Pmax Categories] No Pmax campaigns found.');
+    return { totals: emptyPeriodDataWithBlank(CONFIG), periodData: {} };
+  }
+
+  Logger.log('[Pmax Categories] Found ' + campaignIds.length + ' Pmax campaign(s).');
+
+  // Period date ranges keyed like the search-term periods, clipped to the report range
+  function getPeriodRanges() {
+    const range = dateRange || getDateRange();
+    const periods = [];
+    let periodKey = periodStartDate(CONFIG, range.start);
+    while (periodKey <= range.end) {
+      const periodEnd = periodEndDate(CONFIG, periodKey);
+      periods.push({
+        key: periodKey,
+        start: periodKey < range.start ? range.start : periodKey,
+        end: periodEnd > range.end ? range.end : periodEnd
+      });
+      periodKey = addDaysToDate(periodEnd, 1);
+    }
+    return periods;
+  }
+
+  const periodRanges = getPeriodRanges();
+  Logger.log('[Pmax Categories] Processing ' + periodRanges.length + ' period(s).');
+
+  if (checkpoint && !checkpoint.state.pmaxCategories) {
+    checkpoint.state.pmaxCategories = { done: {}, totals: emptyPeriodDataWithBlank(CONFIG), periodData: {} };
+  }
+  const progress = checkpoint ? checkpoint.state.pmaxCategories : null;
+  const totals = progress ? progress.totals : emptyPeriodDataWithBlank(CONFIG);
+  const periodData = progress ? progress.periodData : {};
+
+  // Query each period separately (no segments needed)
+  for (let p = 0; p < periodRanges.length; p++) {
+    const period = periodRanges[p];
+    const dateClause = "segments.date BETWEEN '" + period.start + "' AND '" + period.end + "'";
+
+    for (let i = 0; i < campaignIds.length; i++) {
+      const campaignId = campaignIds[i];
+      const unit = period.key + '|' + campaignId;
+      if (progress && progress.done[unit]) continue;
+      if (checkpoint) stopIfOutOfTime(checkpoint);
+      const query = [
+        'SELECT',
+        '  campaign_search_term_insight.category_label,',
+        '  metrics.impressions,',
+        '  metrics.clicks,',
+        '  metrics.conversions,',
+        '  metrics.conversions_value',
+        'FROM campaign_search_term_insight',
+        'WHERE ' + dateClause,
+        '  AND campaign_search_term_insight.campaign_id = ' + campaignId
+      ].join('\n');
+
+      try {
+        const report = AdsApp.search(query);
+        while (report.hasNext()) {
+          const row = report.next();
+          const categoryLabel = row.campaignSearchTermInsight && row.campaignSearchTermInsight.categoryLabel
+            ? row.campaignSearchTermInsight.categoryLabel
+            : '';
+          const m = row.metrics || {};
+          const rowMetrics = {
+            impressions: Number(m.impressions) || 0,
+            clicks: Number(m.clicks) || 0,
+            cost: 0, // Not available in campaign_search_term_insight
+            conversions: Number(m.conversions) || 0,
+            conversionsValue: Number(m.conversionsValue) || 0
+          };
+
+          // Determine category: blank, branded, competitor, or nonBranded
+          const classification = (!categoryLabel || categoryLabel.trim() === '')
+            ? { segment: 'blank', brandGroup: null }
+            : classifyTerm(CLASSIFIER, categoryLabel, false);
+
+          addRowToSegments(totals, classification, rowMetrics);
+          addRowToPeriodDataWithBlank(CONFIG, periodData, period.key, classification, rowMetrics);
+        }
+      } catch (e) {
+        Logger.log('[Pmax Categories] Error querying campaign ' + campaignId + ' for period ' + period.key + ': ' + e);
+      }
+      if (progress) progress.done[unit] = true;
+    }
+  }
+
+  return { totals: totals, periodData: periodData };
+}
+
+// Adds every segment (and brand group) of source into target
+function mergeSegments(target, source) {
+  addMetrics(target.branded, source.branded);
+  addMetrics(target.competitor, source.competitor);
+  addMetrics(target.nonBranded, source.nonBranded);
+  addMetrics(target.unclassifiable, source.unclassifiable);
+  if (target.blank && source.blank) {
+    addMetrics(target.blank, source.blank);
+  }
+  let name;
+  for (name in source.groups) {
+    if (!source.groups.hasOwnProperty(name)) continue;
+    if (!target.groups[name]) target.groups[name] = emptyMetrics();
+    addMetrics(target.groups[name], source.groups[name]);
+  }
+}
+
+function mergePeriodData(config, target, source) {
+  let key;
+  for (key in source) {
+    if (!source.hasOwnProperty(key)) continue;
+    if (!target[key]) {
+      target[key] = emptyPeriodData(config);
+    }
+    mergeSegments(target[key], source[key]);
+  }
+}
+
+function mergeTotals(target, source) {
+  mergeSegments(target, source);
+}
+
+// Totals over every period of periodData
+function sumPeriodData(config, periodData) {
+  const totals = emptyPeriodData(config);
+  Object.keys(periodData).forEach(function (periodKey) {
+    mergeSegments(totals, periodData[periodKey]);
+  });
+  return totals;
+}
+
+// Totals over the fetched range. With history, a channel's totals cover every stored period and the
+// fetched range's totals are kept as fetchedTotals for the tabs that only cover that range.
+function getFetchedTotals(data) {
+  return data.fetchedTotals || data.totals;
+}
+
+// ===== FORMAT PERIOD LABEL =====
+const MONTH_LABELS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+function formatPeriodLabel(config, periodKey) {
+  if (config.timeGranularity === 'day') {
+    return periodKey;
+  }
+  if (config.timeGranularity === 'week') {
+    return 'w/c ' + periodKey;
+  }
+  const parts = String(periodKey).split('-');
+  if (config.timeGranularity === 'quarter' && parts.length >= 2) {
+    return 'Q' + (Math.floor((parseInt(parts[1], 10) - 1) / 3) + 1) + ' ' + parts[0];
+  }
+  const month = MONTH_LABELS[parseInt(parts[1], 10) - 1];
+  return month ? month + ' ' + parts[0] : periodKey;
+}
+
+// ===== REPORT SEGMENTS =====
+const BRAND_GROUP_COLORS = ['#4285F4', '#A142F4', '#24C1E0', '#F538A0', '#185ABC', '#9AA0A6'];
+
+// Segments written to Raw tabs and charts, in display order. With a single brand group this is
+// Branded + Non-branded; with several groups each group gets its own "Branded - <name>" segment.
+// Competitor sits between them whenever competitor tokens are set; Unclassifiable comes last when an active
+// channel has spend without query data.
+function getReportSegments(config) {
+  const segments = [];
+  if (config.brandGroups.length > 1) {
+    config.brandGroups.forEach(function (group, idx) {
+      segments.push({
+        label: 'Branded - ' + group.name,
+        color: BRAND_GROUP_COLORS[idx % BRAND_GROUP_COLORS.length],
+        metrics: function (p) { return (p.groups && p.groups[group.name]) || emptyMetrics(); }
+      });
+    });
+  } else {
+    segments.push({ label: 'Branded', color: '#4285F4', metrics: function (p) { return p.branded; } });
+  }
+  if (config.competitorTokens.length > 0) {
+    segments.push({ label: 'Competitor', color: '#EA4335', metrics: function (p) { return p.competitor; } });
+  }
+  segments.push({ label: 'Non-branded', color: '#FBBC05', metrics: function (p) { return p.nonBranded; } });
+  if (hasUnclassifiableSegment(config)) {
+    segments.push({ key: 'unclassifiable', label: 'Unclassifiable', color: '#5F6368', metrics: function (p) { return p.unclassifiable; } });
+  }
+  return segments;
+}
+
+// Value of one metric for a segment, including derived CPA / ROAS
+function metricValue(m, valueType) {
+  if (valueType === 'cpa') {
+    return m.conversions > 0 ? m.cost / m.conversions : 0;
+  }
+  if (valueType === 'roas') {
+    return m.cost > 0 ? m.conversionsValue / m.cost : 0;
+  }
+  return m[valueType] || 0;
+}
+
+// All report segments added together, including Unclassifiable
+function totalMetrics(p) {
+  const total = emptyMetrics();
+  addMetrics(total, p.branded);
+  addMetrics(total, p.competitor);
+  addMetrics(total, p.nonBranded);
+  addMetrics(total, p.unclassifiable);
+  return total;
+}
+
+// Share of a metric that is branded (competitor and non-branded form the rest; Unclassifiable is left out)
+function brandedShare(totals, valueType) {
+  const total = totals.branded[valueType] + totals.competitor[valueType] + totals.nonBranded[valueType];
+  return total > 0 ? totals.branded[valueType] / total : 0;
+}
+
+// ===== BUILD RAW TAB ROWS =====
+// Every row ends with the days of the period inside dateRange and whether the period is partial
+function buildRawTabRows(config, periodData, dateRange) {
+  const periods = Object.keys(periodData).sort();
+  const segments = getReportSegments(config);
+  const rows = [];
+  rows.push(['Period', 'Segment', 'Impressions', 'Clicks', 'Cost', 'Conversions', 'Conversion Value', 'CPA', 'ROAS',
+    'Days in Period', 'Partial']);
+  periods.forEach(function (periodKey) {
+    const p = periodData[periodKey];
+    const label = formatPeriodLabel(config, periodKey);
+    const days = daysInPeriod(config, periodKey, dateRange);
+    const partial = isPartialPeriod(config, periodKey, dateRange);
+    segments.forEach(function (segment) {
+      const m = segment.metrics(p);
+      rows.push([label, segment.label, m.impressions, m.clicks, m.cost, m.conversions, m.conversionsValue, metricValue(m, 'cpa'), metricValue(m, 'roas'),
+        days, partial]);
+    });
+  });
+  return rows;
+}
+
+// Build raw rows for categories (no cost metrics available, includes blank)
+function buildRawTabRowsNoCost(config, periodData, dateRange) {
+  const periods = Object.keys(periodData).sort();
+  const segments = getReportSegments(config).filter(function (segment) { return segment.key !== 'unclassifiable'; });
+  const rows = [];
+  rows.push(['Period', 'Segment', 'Impressions', 'Clicks', 'Conversions', 'Conversion Value', 'Days in Period', 'Partial']);
+  periods.forEach(function (periodKey) {
+    const p = periodData[periodKey];
+    const label = formatPeriodLabel(config, periodKey);
+    const days = daysInPeriod(config, periodKey, dateRange);
+    const partial = isPartialPeriod(config, periodKey, dateRange);
+    segments.forEach(function (segment) {
+      const m = segment.metrics(p);
+      rows.push([label, segment.label, m.impressions, m.clicks, m.conversions, m.conversionsValue, days, partial]);
+    });
+    // Blank category for unidentifiable search categories
+    if (p.blank) {
+      rows.push([label, 'Blank', p.blank.impressions, p.blank.clicks, p.blank.conversions, p.blank.conversionsValue, days, partial]);
+    }
+  });
+  return rows;
+}
+
+// ===== SHEET: INFO + RAW TABS =====
+function getOrCreateSheet(ss, name) {
+  let sh = ss.getSheetByName(name);
+  if (!sh) {
+    sh = ss.insertSheet(name);
+  } else {
+    sh.clear();
+  }
+  return sh;
+}
+
+function writeInfoAndRawTabs(ss, result) {
+  const account = AdsApp.currentAccount();
+  const timeZone = account.getTimeZone();
+  const currency = account.getCurrencyCode();
+
+  const infoSheet = getOrCreateSheet(ss, 'Info');
+  const infoData = [
+    ['Account Name', account.getName()],
+    ['Account ID', account.getCustomerId()],
+    ['Currency', currency],
+    ['Date Range', result.dateRangeStr],
+    ['Time Granularity', CONFIG.timeGranularity + (CONFIG.timeGranularity === 'week' ? ' (starting ' + CONFIG.weekStartDay + ')' : '')],
+    ['Partial Periods In Charts', CONFIG.partialPeriodsInCharts],
+    ['Channels', getActiveChannels(CONFIG).map(function (channel) {
+      return channel.name + (channel.source === 'none' ? ' (unclassifiable)' : channel.source === 'keywords' ? ' (keywords)' : '');
+    }).join(', ')],
+    ['Run Timestamp', Utilities.formatDate(new Date(), timeZone, 'yyyy-MM-dd HH:mm:ss')],
+    ['Settings Source', CONFIG.source],
+    ['Include By Campaign Type', CONFIG.includeByCampaignType],
+    ['Pmax Treat All As Non-Branded', CONFIG.pmaxTreatAllAsNonBranded],
+    ['Include Pmax Categories', CONFIG.includePmaxCategories],
+    ['Brand Whole Word', CONFIG.brandWholeWord]
+  ];
+  const campaignFilters = describeCampaignFilters(CONFIG);
+  if (campaignFilters.length > 0) {
+    infoData.push(['Campaign Filters', CAMPAIGN_FILTER_IDS.length + ' campaign(s) matched']);
+    campaignFilters.forEach(function (filter) {
+      infoData.push(['Campaign Filter: ' + filter[0], filter[1]]);
+    });
+  }
+  if (CONFIG.includeByCampaign) {
+    const filters = [];
+    if (CONFIG.byCampaignNamePattern) filters.push('name matches /' + CONFIG.byCampaignNamePattern + '/i');
+    if (CONFIG.byCampaignLabel) filters.push('label "' + CONFIG.byCampaignLabel + '"');
+    infoData.push(['By Campaign Filter', filters.length > 0 ? filters.join(' and ') : 'All campaigns']);
+  }
+  if (CONFIG.useHistory) {
+    infoData.push(['History', result.historyPeriods + ' period(s) from ' + result.dateRange.start + ', refetched ' +
+      result.fetchedRange.start + ' to ' + result.fetchedRange.end]);
+  }
+  if (CONFIG.includeReconciliation) {
+    reconciliationCoverage(result.reconciliation).forEach(function (coverage) {
+      infoData.push(['Cost Coverage: ' + coverage[0], coverage[1] === null ? 'No spend' : (coverage[1] * 100).toFixed(1) + '%']);
+    });
+  }
+  result.comparisons.forEach(function (comparison) {
+    infoData.push(['Compared With: ' + comparison.label, comparison.range.start + ' to ' + comparison.range.end]);
+  });
+  if (result.previousPeriod) {
+    infoData.push(['Top Terms', 'Top ' + CONFIG.topTermsCount + ' per segment, change vs ' +
+      result.previousPeriod.range.start + ' to ' + result.previousPeriod.range.end]);
+  }
+  CONFIG.brandGroups.forEach(function (group) {
+    const wholeWord = groupWholeWord(CONFIG, group);
+    infoData.push(['Brand Group: ' + group.name, describeTokens(CONFIG, group.tokens, wholeWord, groupMaxEdits(CONFIG, group))]);
+    if (group.exclusions && group.exclusions.length > 0) {
+      infoData.push(['Brand Exclusions: ' + group.name, describeTokens(CONFIG, group.exclusions, wholeWord)]);
+    }
+  });
+  infoData.push(['Fuzzy Matching', CONFIG.fuzzyMatching]);
+  if (CONFIG.fuzzyMatching) {
+    infoData.push(['Fuzzy Default Max Edits', CONFIG.fuzzyDefaultMaxEdits]);
+    infoData.push(['Fuzzy Min Token Length', CONFIG.fuzzyMinTokenLength]);
+    infoData.push(['Fuzzy Chars Per Edit', CONFIG.fuzzyCharsPerEdit]);
+  }
+  if (CONFIG.competitorTokens.length > 0) {
+    infoData.push(['Competitor Tokens', describeTokens(CONFIG, CONFIG.competitorTokens, CONFIG.brandWholeWord, CONFIG.fuzzyDefaultMaxEdits)]);
+    infoData.push(['Brand + Competitor Priority', CONFIG.brandAndCompetitorPriority]);
+  }
+  if (CONFIG.includeCannibalisation || CONFIG.includeSuggestedNegatives) {
+    const rules = [];
+    if (CONFIG.brandCampaignNamePattern) rules.push('name matches /' + CONFIG.brandCampaignNamePattern + '/i');
+    if (CONFIG.brandCampaignLabel) rules.push('label "' + CONFIG.brandCampaignLabel + '"');
+    infoData.push(['Brand Campaigns', rules.join(' or ')]);
+  }
+  if (CONFIG.includeSuggestedNegatives) {
+    infoData.push(['Suggested Negatives', !CONFIG.applyNegatives ? 'Suggest only'
+      : (CONFIG.negativesDryRun ? 'Dry run for list "' : 'Applied to list "') + CONFIG.negativeListName + '"']);
+  }
+  infoData.push(['Alerts Enabled', CONFIG.alertsEnabled]);
+  if (CONFIG.alertsEnabled) {
+    infoData.push(['Alert Recipients', CONFIG.alertRecipients.join(', ')]);
+    infoData.push(['Alert Method', CONFIG.alertMethod === 'zscore'
+      ? 'zscore (' + CONFIG.alertZScore + ' std dev over up to ' + CONFIG.alertBaselinePeriods + ' periods)'
+      : 'threshold (' + describeAlertThresholds(CONFIG, currency) + ')']);
+  }
+  infoData.push(['Summary Email Enabled', CONFIG.summaryEmailEnabled]);
+  if (CONFIG.summaryEmailEnabled) {
+    infoData.push(['Summary Recipients', CONFIG.summaryRecipients.join(', ')]);
+    infoData.push(['Summary Schedule', describeSummarySchedule(CONFIG)]);
+  }
+  if (CONFIG.exportCsv) infoData.push(['Export CSV', CONFIG.exportFolder]);
+  if (CONFIG.exportBigQuery) infoData.push(['Export BigQuery', getBigQueryTableName(CONFIG)]);
+  infoSheet.getRange(1, 1, infoData.length, 2).setValues(infoData);
+
+  buildRawTables(result).forEach(function (table) {
+    const sh = getOrCreateSheet(ss, table.name);
+    if (table.rows.length > 1 || table.writeHeaderOnly) {
+      sh.getRange(1, 1, table.rows.length, table.rows[0].length).setValues(table.rows);
+    }
+  });
+}
+
+// Raw - Combined, then one Raw tab per active channel when byType (channel data keyed by channel name) is given
+function buildChannelRawTables(config, combined, byType, dateRange) {
+  const tables = [{ name: 'Raw - Combined', rows: buildRawTabRows(config, combined.periodData, dateRange) }];
+  if (config.includeByCampaignType && byType) {
+    getActiveChannels(config).forEach(function (channel) {
+      tables.push({ name: 'Raw - ' + channel.name, rows: buildRawTabRows(config, byType[channel.name].periodData, dateRange) });
+    });
+  }
+  return tables;
+}
+
+// Data tabs for one account's analysis, in tab order: [{ name, rows, writeHeaderOnly }]
+function buildRawTables(result) {
+  const tables = buildChannelRawTables(CONFIG, result.combined, result.byType, result.dateRange);
+  if (CONFIG.includeByCampaign) {
+    const campaigns = getByCampaignList(CONFIG, CAMPAIGN_LABELS, result.channels);
+    tables.push({ name: 'Raw - By Campaign', rows: buildByCampaignRows(campaigns, result.dateRange), writeHeaderOnly: true });
+    tables.push({ name: 'Summary - Campaigns', rows: buildCampaignSummaryRows(campaigns), writeHeaderOnly: true });
+  }
+  if (CONFIG.includeReconciliation) {
+    tables.push({ name: 'Reconciliation', rows: buildReconciliationRows(result.reconciliation), writeHeaderOnly: true });
+  }
+  if (CONFIG.includePmaxCategories && result.pmaxCategoriesData) {
+    tables.push({ name: 'Raw - Pmax Categories', rows: buildRawTabRowsNoCost(CONFIG, result.pmaxCategoriesData.periodData, result.dateRange) });
+  }
+  if (CONFIG.includeTopTerms) {
+    getSearchTermChannels(CONFIG).forEach(function (channel) {
+      tables.push({ name: 'Top Terms - ' + channel.name, rows: buildTopTermsRows(CONFIG, result, channel.name), writeHeaderOnly: true });
+    });
+  }
+  if (CONFIG.includeNgrams) {
+    tables.push({ name: 'N-grams', rows: buildNgramRows(CONFIG, result.channels), writeHeaderOnly: true });
+  }
+  if (CONFIG.includeCannibalisation) {
+    tables.push({ name: 'Cannibalisation', rows: buildCannibalisationRows(CONFIG, CAMPAIGN_LABELS, result.channels), writeHeaderOnly: true });
+  }
+  if (CONFIG.includeSuggestedNegatives) {
+    tables.push({ name: 'Suggested Negatives', rows: buildSuggestedNegativesRows(result.suggestedNegatives), writeHeaderOnly: true });
+  }
+  if (CONFIG.fuzzyMatching) {
+    tables.push({ name: 'Brand Misspellings', rows: buildBrandMisspellingsRows(result.nearMatchesByChannel), writeHeaderOnly: true });
+  }
+  return tables;
+}
+
+// ===== SHEET: BY CAMPAIGN =====
+// Campaigns passing the By Campaign filters, with their channel: [{ channel, campaign }]
+function getByCampaignList(config, labels, channels) {
+  const list = [];
+  getActiveChannels(config).forEach(function (channel) {
+    const campaigns = channels[channel.name].campaigns;
+    Object.keys(campaigns).forEach(function (id) {
+      if (matchesByCampaignFilters(config, labels, campaigns[id])) list.push({ channel: channel.name, campaign: campaigns[id] });
+    });
+  });
+  return list;
+}
+
+// Raw tab rows per campaign, prefixed with Channel / Campaign ID / Campaign columns
+function buildByCampaignRows(campaigns, dateRange) {
+  let rows = null;
+  campaigns.forEach(function (entry) {
+    const campaignRows = buildRawTabRows(CONFIG, entry.campaign.periodData, dateRange);
+    if (!rows) rows = [['Channel', 'Campaign ID', 'Campaign'].concat(campaignRows[0])];
+    campaignRows.slice(1).forEach(function (row) {
+      rows.push([entry.channel, entry.campaign.id, entry.campaign.name].concat(row));
+    });
+  });
+  return rows || [['Channel', 'Campaign ID', 'Campaign'].concat(buildRawTabRows(CONFIG, {}, dateRange)[0])];
+}
+
+// Campaigns ranked by branded share of cost, then of conversions (most brand-dependent first)
+function buildCampaignSummaryRows(campaigns) {
+  const entries = campaigns.map(function (entry) {
+    const t = entry.campaign.totals;
+    return {
+      entry: entry,
+      totals: t,
+      costShare: brandedShare(t, 'cost'),
+      conversionsShare: brandedShare(t, 'conversions')
+    };
+  });
+  entries.sort(function (a, b) {
+    return (b.costShare - a.costShare) || (b.conversionsShare - a.conversionsShare);
+  });
+  const rows = [['Rank', 'Channel', 'Campaign ID', 'Campaign', 'Cost', 'Branded Cost', '% Branded Cost',
+    'Conversions', 'Branded Conversions', '% Branded Conversions']];
+  entries.forEach(function (e, idx) {
+    const t = e.totals;
+    rows.push([idx + 1, e.entry.channel, e.entry.campaign.id, e.entry.campaign.name, totalMetrics(t).cost, t.branded.cost,
+      e.costShare, totalMetrics(t).conversions, t.branded.conversions, e.conversionsShare]);
+  });
+  return rows;
+}
+
+// ===== SHEET: TOP TERMS =====
+const TOP_TERMS_RANKINGS = [
+  { valueType: 'cost', label: 'Cost' },
+  { valueType: 'conversions', label: 'Conversions' },
+  { valueType: 'impressions', label: 'Impressions' }
+];
+
+// Top terms of one channel for each segment and ranking metric. Share and change refer to the ranking
+// metric; % change is blank for terms with no volume in the previous period.
+function buildTopTermsRows(config, result, channel) {
+  const data = result.channels[channel];
+  const previousTerms = result.previousPeriod.data.channels[channel].terms;
+  const segments = [{ key: 'branded', label: 'Branded' }];
+  if (config.competitorTokens.length > 0) segments.push({ key: 'competitor', label: 'Competitor' });
+  segments.push({ key: 'nonBranded', label: 'Non-branded' });
+
+  const rows = [['Segment', 'Ranked By', 'Rank', 'Search Term', 'Brand Group', 'Impressions', 'Clicks', 'Cost',
+    'Conversions', 'Conversion Value', 'CPA', 'ROAS', '% of Segment', 'Previous Period', 'Change', '% Change']];
+  segments.forEach(function (segment) {
+    const segmentTerms = Object.keys(data.terms).filter(function (key) {
+      return data.terms[key].segment === segment.key;
+    });
+    TOP_TERMS_RANKINGS.forEach(function (ranking) {
+      const valueType = ranking.valueType;
+      const segmentTotal = getFetchedTotals(data)[segment.key][valueType];
+      const top = segmentTerms.filter(function (key) {
+        return data.terms[key].metrics[valueType] > 0;
+      }).sort(function (a, b) {
+        return data.terms[b].metrics[valueType] - data.terms[a].metrics[valueType];
+      }).slice(0, config.topTermsCount);
+      top.forEach(function (key, idx) {
+        const t = data.terms[key];
+        const m = t.metrics;
+        const current = m[valueType];
+        const previous = previousTerms[key] ? previousTerms[key].metrics[valueType] : 0;
+        rows.push([segment.label, ranking.label, idx + 1, t.term, t.brandGroup, m.impressions, m.clicks, m.cost,
+          m.conversions, m.conversionsValue, metricValue(m, 'cpa'), metricValue(m, 'roas'),
+          segmentTotal > 0 ? current / segmentTotal : 0, previous, current - previous,
+          previous > 0 ? (current - previous) / previous : '']);
+      });
+    });
+  });
+  return rows;
+}
+
+// ===== SHEET: N-GRAMS =====
+const NGRAM_MAX_WORDS = 3;
+
+// Distinct 1- to NGRAM_MAX_WORDS-word phrases in a term, without phrases that start or end with a stop word
+function termNgrams(text, stopWords) {
+  const words = normalizeText(text).toLowerCase().split(new RegExp('[^' + WORD_CHARS + ']+')).filter(function (word) {
+    return word !== '';
+  });
+  const seen = {};
+  const ngrams = [];
+  for (let n = 1; n <= NGRAM_MAX_WORDS; n++) {
+    for (let i = 0; i + n <= words.length; i++) {
+      if (stopWords[words[i]] || stopWords[words[i + n - 1]]) continue;
+      const ngram = words.slice(i, i + n).join(' ');
+      if (seen[ngram]) continue;
+      seen[ngram] = true;
+      ngrams.push({ n: n, text: ngram });
+    }
+  }
+  return ngrams;
+}
+
+// Non-branded n-grams across channels. Each term counts once towards every distinct n-gram it contains,
+// so n-gram totals overlap and do not add up to the segment total.
+function buildNgramRows(config, channels) {
+  const stopWords = {};
+  config.ngramStopWords.forEach(function (word) { stopWords[word.toLowerCase()] = true; });
+
+  const byNgram = {};
+  getSearchTermChannels(config).forEach(function (channel) {
+    const terms = channels[channel.name].terms;
+    Object.keys(terms).forEach(function (key) {
+      const t = terms[key];
+      if (t.segment !== 'nonBranded') return;
+      termNgrams(t.term, stopWords).forEach(function (ngram) {
+        const ngramKey = ngram.n + ':' + ngram.text;
+        if (!byNgram[ngramKey]) {
+          byNgram[ngramKey] = { n: ngram.n, text: ngram.text, terms: {}, metrics: emptyMetrics() };
+        }
+        byNgram[ngramKey].terms[key] = true;
+        addMetrics(byNgram[ngramKey].metrics, t.metrics);
+      });
+    });
+  });
+
+  const entries = Object.keys(byNgram).map(function (key) {
+    return byNgram[key];
+  }).filter(function (e) {
+    return e.metrics.impressions >= config.ngramMinImpressions;
+  });
+  entries.sort(function (a, b) {
+    return (a.n - b.n) || (b.metrics.cost - a.metrics.cost) || (b.metrics.impressions - a.metrics.impressions);
+  });
+  const rows = [['Words', 'N-gram', 'Terms', 'Impressions', 'Clicks', 'Cost', 'Conversions', 'Conversion Value', 'CPA', 'ROAS']];
+  entries.forEach(function (e) {
+    const m = e.metrics;
+    rows.push([e.n, e.text, Object.keys(e.terms).length, m.impressions, m.clicks, m.cost, m.conversions, m.conversionsValue,
+      metricValue(m, 'cpa'), metricValue(m, 'roas')]);
+  });
+  return rows;
+}
+
+// ===== SHEET: CANNIBALISATION =====
+// Term segments that do not belong in each campaign type
+const CANNIBALISATION_SEGMENTS = {
+  brand: [{ key: 'competitor', label: 'Competitor' }, { key: 'nonBranded', label: 'Non-branded' }],
+  nonBrand: [{ key: 'branded', label: 'Branded' }]
+};
+
+// One row per period, campaign and misplaced segment with volume. % of Campaign Cost is the segment's share
+// of that campaign's cost in the period.
+function buildCannibalisationRows(config, labels, channels) {
+  const entries = [];
+  getActiveChannels(config).forEach(function (channel) {
+    const campaigns = channels[channel.name].campaigns;
+    Object.keys(campaigns).forEach(function (id) {
+      const campaign = campaigns[id];
+      const campaignType = isBrandCampaign(config, labels, campaign) ? 'brand' : 'nonBrand';
+      Object.keys(campaign.periodData).forEach(function (periodKey) {
+        const p = campaign.periodData[periodKey];
+        const campaignCost = totalMetrics(p).cost;
+        CANNIBALISATION_SEGMENTS[campaignType].forEach(function (segment) {
+          const m = p[segment.key];
+          if (m.impressions === 0 && m.clicks === 0 && m.cost === 0) return;
+          entries.push({ periodKey: periodKey, channel: channel.name, campaign: campaign, campaignType: campaignType,
+            segment: segment, metrics: m, costShare: campaignCost > 0 ? m.cost / campaignCost : 0 });
+        });
+      });
+    });
+  });
+  entries.sort(function (a, b) {
+    return (a.periodKey < b.periodKey ? -1 : a.periodKey > b.periodKey ? 1 : 0) || (b.metrics.cost - a.metrics.cost);
+  });
+  const rows = [['Period', 'Channel', 'Campaign ID', 'Campaign', 'Campaign Type', 'Term Segment', 'Impressions', 'Clicks',
+    'Cost', 'Conversions', 'Conversion Value', '% of Campaign Cost']];
+  entries.forEach(function (e) {
+    const m = e.metrics;
+    rows.push([formatPeriodLabel(config, e.periodKey), e.channel, e.campaign.id, e.campaign.name,
+      e.campaignType === 'brand' ? 'Brand' : 'Non-brand', e.segment.label, m.impressions, m.clicks, m.cost,
+      m.conversions, m.conversionsValue, e.costShare]);
+  });
+  return rows;
+}
+
+// ===== SHEET: SUGGESTED NEGATIVES =====
+// True when the term is just one of its group's tokens, give or take spacing, case and accents
+function isBareBrandTerm(classifier, text, brandGroup) {
+  const compact = compactText(text);
+  return classifier.brandPatterns.some(function (group) {
+    return group.name === brandGroup && group.tokens.some(function (t) {
+      return t.compact !== '' && t.compact === compact;
+    });
+  });
+}
+
+// Branded terms with spend in non-brand Search and Shopping campaigns, highest cost first:
+// [{ keyword, matchType, channel, campaign, brandGroup, metrics, status }]
+function buildSuggestedNegatives(config, classifier, labels, channels) {
+  const suggestions = [];
+  getSearchTermChannels(config).filter(function (channel) {
+    return channel.source === 'searchTerms';
+  }).forEach(function (channel) {
+    const campaigns = channels[channel.name].campaigns;
+    Object.keys(campaigns).forEach(function (id) {
+      const campaign = campaigns[id];
+      if (isBrandCampaign(config, labels, campaign)) return;
+      Object.keys(campaign.terms).forEach(function (key) {
+        const t = campaign.terms[key];
+        if (t.segment !== 'branded' || t.metrics.cost <= 0) return;
+        suggestions.push({
+          keyword: key,
+          matchType: !t.fuzzy && isBareBrandTerm(classifier, t.term, t.brandGroup) ? 'PHRASE' : 'EXACT',
+          channel: channel.name,
+          campaign: campaign,
+          brandGroup: t.brandGroup,
+          metrics: t.metrics,
+          status: 'Suggested'
+        });
+      });
+    });
+  });
+  suggestions.sort(function (a, b) { return b.metrics.cost - a.metrics.cost; });
+  return suggestions;
+}
+
+// Keyword text in Google Ads notation: "phrase" or [exact]
+function formatNegativeKeyword(keyword, matchType) {
+  return matchType === 'PHRASE' ? '"' + keyword + '"' : matchType === 'EXACT' ? '[' + keyword + ']' : keyword;
+}
+
+function negativeKeywordKey(text, matchType) {
+  return String(matchType).toUpperCase() + ':' + String(text).replace(/^["\[]|["\]]$/g, '').toLowerCase();
+}
+
+// With APPLY_NEGATIVES, adds suggestions missing from the shared list (or, in dry run, only marks them).
+// The same keyword suggested for several campaigns is added once. Sets each suggestion's status.
+function applySuggestedNegatives(suggestions) {
+  if (!CONFIG.applyNegatives) return;
+  const listName = CONFIG.negativeListName;
+  const lists = AdsApp.negativeKeywordLists()
+    .withCondition("shared_set.name = '" + listName.replace(/'/g, "\\'") + "'")
+    .get();
+  if (!lists.hasNext()) {
+    throw new Error('Negative keyword list "' + listName + '" not found');
+  }
+  const list = lists.next();
+
+  const existing = {};
+  const keywords = list.negativeKeywords().get();
+  while (keywords.hasNext()) {
+    const keyword = keywords.next();
+    existing[negativeKeywordKey(keyword.getText(), keyword.getMatchType())] = true;
+  }
+
+  const added = {};
+  suggestions.forEach(function (s) {
+    const key = negativeKeywordKey(s.keyword, s.matchType);
+    if (added[key]) {
+      s.status = 'Added';
+    } else if (existing[key]) {
+      s.status = 'Already in list';
+    } else if (CONFIG.negativesDryRun) {
+      s.status = 'Dry run: would add';
+    } else {
+      list.addNegativeKeyword(formatNegativeKeyword(s.keyword, s.matchType));
+      added[key] = true;
+      s.status = 'Added';
+    }
+  });
+  Logger.log('[Negatives] ' + (CONFIG.negativesDryRun
+    ? 'Dry run, nothing added to "' + listName + '"'
+    : Object.keys(added).length + ' keyword(s) added to "' + listName + '"'));
+}
+
+function buildSuggestedNegativesRows(suggestions) {
+  const rows = [['Negative Keyword', 'Match Type', 'Channel', 'Campaign ID', 'Campaign', 'Brand Group', 'Impressions',
+    'Clicks', 'Spend Saved', 'Conversions', 'Conversion Value', 'Status']];
+  suggestions.forEach(function (s) {
+    const m = s.metrics;
+    rows.push([formatNegativeKeyword(s.keyword, s.matchType), s.matchType === 'PHRASE' ? 'Phrase' : 'Exact', s.channel,
+      s.campaign.id, s.campaign.name, s.brandGroup, m.impressions, m.clicks, m.cost, m.conversions, m.conversionsValue, s.status]);
+  });
+  return rows;
+}
+
+// ===== SHEET: RECONCILIATION =====
+// Classified (branded, competitor or non-branded) vs actual campaign cost per channel and period, plus all
+// channels combined. Unclassifiable spend counts towards the gap:
+// { channels: ['Combined', ...], periods: { channel: { periodKey: { classified, actual } } } }
+// With a checkpoint, each channel's cost fetch is a unit saved in state.reconciliation.
+function buildReconciliation(channels, dateRange, checkpoint) {
+  const reconciliation = { channels: ['Combined'], periods: { Combined: {} } };
+  const entry = function (channel, periodKey) {
+    const periods = reconciliation.periods[channel];
+    if (!periods[periodKey]) periods[periodKey] = { classified: 0, actual: 0 };
+    return periods[periodKey];
+  };
+
+  getActiveChannels(CONFIG).forEach(function (channel) {
+    reconciliation.channels.push(channel.name);
+    reconciliation.periods[channel.name] = {};
+    const periodData = channels[channel.name].periodData;
+    Object.keys(periodData).forEach(function (periodKey) {
+      const p = periodData[periodKey];
+      const cost = p.branded.cost + p.competitor.cost + p.nonBranded.cost;
+      entry(channel.name, periodKey).classified += cost;
+      entry('Combined', periodKey).classified += cost;
+    });
+    let actual = checkpoint ? checkpoint.state.reconciliation[channel.name] : null;
+    if (!actual) {
+      if (checkpoint) stopIfOutOfTime(checkpoint);
+      actual = {};
+      fetchCampaignMetrics(channel.channelType, dateRange).forEach(function (row) {
+        actual[row.periodKey] = (actual[row.periodKey] || 0) + row.metrics.cost;
+      });
+      if (checkpoint) checkpoint.state.reconciliation[channel.name] = actual;
+    }
+    Object.keys(actual).forEach(function (periodKey) {
+      entry(channel.name, periodKey).actual += actual[periodKey];
+      entry('Combined', periodKey).actual += actual[periodKey];
+    });
+  });
+  return reconciliation;
+}
+
+// Classified share of actual cost, or null when there was no spend
+function costCoverage(classified, actual) {
+  return actual > 0 ? classified / actual : null;
+}
+
+// Coverage over the whole range per channel: [[channel, coverage]]
+function reconciliationCoverage(reconciliation) {
+  return reconciliation.channels.map(function (channel) {
+    let classified = 0;
+    let actual = 0;
+    const periods = reconciliation.periods[channel];
+    Object.keys(periods).forEach(function (periodKey) {
+      classified += periods[periodKey].classified;
+      actual += periods[periodKey].actual;
+    });
+    return [channel, costCoverage(classified, actual)];
+  });
+}
+
+function buildReconciliationRows(reconciliation) {
+  const rows = [['Period', 'Channel', 'Classified Cost', 'Actual Cost', 'Unattributed Cost', 'Coverage']];
+  const periodKeys = Object.keys(reconciliation.periods.Combined).sort();
+  periodKeys.forEach(function (periodKey) {
+    reconciliation.channels.forEach(function (channel) {
+      const p = reconciliation.periods[channel][periodKey];
+      if (!p) return;
+      const coverage = costCoverage(p.classified, p.actual);
+      rows.push([formatPeriodLabel(CONFIG, periodKey), channel, p.classified, p.actual, p.actual - p.classified,
+        coverage === null ? '' : coverage]);
+    });
+  });
+  return rows;
+}
+
+// ===== SHEET: BRAND MISSPELLINGS =====
+// One row per distinct near-match term found by the fuzzy pass, summed across channels, highest cost first
+function buildBrandMisspellingsRows(nearMatchesByChannel) {
+  const byTerm = {};
+  Object.keys(nearMatchesByChannel).forEach(function (channel) {
+    const nearMatches = nearMatchesByChannel[channel] || {};
+    Object.keys(nearMatches).forEach(function (key) {
+      const match = nearMatches[key];
+      if (!byTerm[key]) {
+        byTerm[key] = { match: match, channels: [], metrics: emptyMetrics() };
+      }
+      byTerm[key].channels.push(channel);
+      addMetrics(byTerm[key].metrics, match.metrics);
+    });
+  });
+  const entries = Object.keys(byTerm).map(function (key) { return byTerm[key]; });
+  entries.sort(function (a, b) {
+    return (b.metrics.cost - a.metrics.cost) || (b.metrics.impressions - a.metrics.impressions);
+  });
+  const rows = [['Search Term', 'Brand Group', 'Closest Token', 'Edit Distance', 'Channels', 'Impressions', 'Clicks', 'Cost', 'Conversions', 'Conversion Value']];
+  entries.forEach(function (e) {
+    const m = e.metrics;
+    rows.push([e.match.term, e.match.brandGroup, e.match.token, e.match.distance, e.channels.join(', '), m.impressions, m.clicks, m.cost, m.conversions, m.conversionsValue]);
+  });
+  return rows;
+}
+
+// ===== CHARTS =====
+function scaleMetrics(m, factor) {
+  const scaled = {};
+  Object.keys(m).forEach(function (key) { scaled[key] = m[key] * factor; });
+  return scaled;
+}
+
+// Period data as charted, following PARTIAL_PERIODS_IN_CHARTS: partial periods left out ('exclude') or every
+// period divided by its days in the range ('normalise')
+function getChartPeriodData(config, periodData, dateRange) {
+  if (config.partialPeriodsInCharts === 'show') return periodData;
+  const charted = {};
+  Object.keys(periodData).forEach(function (periodKey) {
+    if (config.partialPeriodsInCharts === 'exclude') {
+      if (!isPartialPeriod(config, periodKey, dateRange)) charted[periodKey] = periodData[periodKey];
+      return;
+    }
+    const p = periodData[periodKey];
+    const days = daysInPeriod(config, periodKey, dateRange);
+    const factor = days > 0 ? 1 / days : 0;
+    const scaled = {};
+    Object.keys(p).forEach(function (key) {
+      if (key !== 'groups') {
+        scaled[key] = scaleMetrics(p[key], factor);
+        return;
+      }
+      scaled.groups = {};
+      Object.keys(p.groups).forEach(function (name) { scaled.groups[name] = scaleMetrics(p.groups[name], factor); });
+    });
+    charted[periodKey] = scaled;
+  });
+  return charted;
+}
+
+// ' per Day' when charts show daily averages, appended to volume chart titles
+function getChartTitleSuffix(config) {
+  return config.partialPeriodsInCharts === 'normalise' ? ' per Day' : '';
+}
+
+// Build chart data rows for one metric (Period, then one column per report segment)
+function buildChartDataRows(config, periodData, valueType, segments) {
+  const periods = Object.keys(periodData).sort();
+  const rows = [];
+  periods.forEach(function (periodKey) {
+    const label = formatPeriodLabel(config, periodKey);
+    const p = periodData[periodKey];
+    const row = [label];
+    segments.forEach(function (segment) {
+      row.push(metricValue(segment.metrics(p), valueType));
+    });
+    rows.push(row);
+  });
+  return rows;
+}
+
+// Ratio chart columns: % Branded, plus % Competitor when competitor tokens are configured
+function getRatioHeader(config) {
+  const header = ['Period', '% Branded'];
+  if (config.competitorTokens.length > 0) header.push('% Competitor');
+  return header;
+}
+
+// Build branded ratio data (branded / total as percentage, competitor share alongside when enabled)
+function buildBrandedRatioRows(config, periodData, valueType, includeBlank) {
+  const includeCompetitor = config.competitorTokens.length > 0;
+  const periods = Object.keys(periodData).sort();
+  const rows = [];
+  periods.forEach(function (periodKey) {
+    const label = formatPeriodLabel(config, periodKey);
+    const p = periodData[periodKey];
+    const valB = p.branded ? metricValue(p.branded, valueType) : 0;
+    const valC = p.competitor ? metricValue(p.competitor, valueType) : 0;
+    const valN = p.nonBranded ? metricValue(p.nonBranded, valueType) : 0;
+    const valBlank = (includeBlank && p.blank) ? metricValue(p.blank, valueType) : 0;
+    const total = valB + valC + valN + valBlank;
+    const row = [label, total > 0 ? valB / total : 0];
+    if (includeCompetitor) row.push(total > 0 ? valC / total : 0);
+    rows.push(row);
+  });
+  return rows;
+}
+
+// Series options for ratio charts (green branded line, red competitor line)
+function getRatioSeriesOptions(config) {
+  const series = { 0: { labelInLegend: '% Branded', color: '#34A853' } };
+  if (config.competitorTokens.length > 0) {
+    series[1] = { labelInLegend: '% Competitor', color: '#EA4335' };
+  }
+  return series;
+}
+
+function writeChartsForView(config, ss, periodData, chartTabName, currency) {
+  const segments = getReportSegments(config);
+  const colors = segments.map(function (segment) { return segment.color; });
+  const series = {};
+  segments.forEach(function (segment, idx) {
+    series[idx] = { labelInLegend: segment.label, color: segment.color };
+  });
+  const ratioHeader = [getRatioHeader(config)];
+  const ratioSeries = getRatioSeriesOptions(config);
+  const ratioColors = Object.keys(ratioSeries).map(function (k) { return ratioSeries[k].color; });
+  const currFmt = '"' + currency + '" #,##0.00';
+  const periodLabel = getPeriodAxisTitle(config);
+  const perDay = getChartTitleSuffix(config);
+
+  let chartSheet = ss.getSheetByName(chartTabName);
+  if (!chartSheet) {
+    chartSheet = ss.insertSheet(chartTabName);
+  }
+  chartSheet.clear();
+
+  // Metrics: useLineChart = true for CPA/ROAS (not stacked), skipRatio = true to skip ratio chart
+  const metrics = [
+    { valueType: 'impressions', title: 'Impressions' + perDay, format: '#,##0', useLineChart: false, skipRatio: false },
+    { valueType: 'clicks', title: 'Clicks' + perDay, format: '#,##0', useLineChart: false, skipRatio: false },
+    { valueType: 'cost', title: 'Cost (' + currency + ')' + perDay, format: currFmt, useLineChart: false, skipRatio: false },
+    { valueType: 'conversions', title: 'Conversions' + perDay, format: '#,##0.00', useLineChart: false, skipRatio: false },
+    { valueType: 'conversionsValue', title: 'Conversion Value (' + currency + ')' + perDay, format: currFmt, useLineChart: false, skipRatio: false },
+    { valueType: 'cpa', title: 'Cost per Conversion (' + currency + ')', format: currFmt, useLineChart: true, skipRatio: true },
+    { valueType: 'roas', title: 'ROAS', format: '#,##0.00', useLineChart: true, skipRatio: true }
+  ];
+
+  let startRow = 1;
+  const chartWidth = 500;
+  const ratioChartWidth = 550;
+  const chartHeight = 300;
+  const rowHeight = 25;
+  const dataColStart = 1;  // Column A for chart data
+  const ratioColStart = dataColStart + segments.length + 2; // Ratio data after a one-column gap (E with two segments)
+
+  metrics.forEach(function (m, idx) {
+    const rows = buildChartDataRows(config, periodData, m.valueType, segments);
+    if (rows.length === 0) return;
+
+    // Chart data (Period + one column per segment)
+    const header = [['Period'].concat(segments.map(function (segment) { return segment.label; }))];
+    const allRows = header.concat(rows);
+    const numRows = allRows.length;
+    const dataStartRow = startRow + 1;
+    const numDataRows = numRows - 1;
+
+    chartSheet.getRange(startRow, dataColStart, numRows, segments.length + 1).setValues(allRows);
+    if (m.format && numDataRows >= 1) {
+      chartSheet.getRange(dataStartRow, dataColStart + 1, numDataRows, segments.length).setNumberFormat(m.format);
+    }
+
+    // Ratio data - only for metrics that need it
+    if (!m.skipRatio) {
+      const ratioRows = buildBrandedRatioRows(config, periodData, m.valueType, false);
+      const allRatioRows = ratioHeader.concat(ratioRows);
+      chartSheet.getRange(startRow, ratioColStart, numRows, ratioHeader[0].length).setValues(allRatioRows);
+      chartSheet.getRange(dataStartRow, ratioColStart + 1, numDataRows, ratioHeader[0].length - 1).setNumberFormat('0.0%');
+    }
+
+    // Main chart (positioned below data, column A)
+    // Use separate ranges for x-axis and data series to fix label issues
+    const xAxisRange = chartSheet.getRange(startRow, dataColStart, numRows, 1);  // Period column with header
+    const dataSeriesRange = chartSheet.getRange(startRow, dataColStart + 1, numRows, segments.length);  // Segment columns with headers
+
+    let mainChart;
+    if (m.useLineChart) {
+      // Line chart for CPA and ROAS (two lines, not stacked)
+      mainChart = chartSheet.newChart()
+        .setChartType(Charts.ChartType.LINE)
+        .addRange(xAxisRange)
+        .addRange(dataSeriesRange)
+        .setPosition(startRow + numRows, 1, 0, 0)
+        .setOption('title', m.title + ' by ' + periodLabel + ' (Branded vs Non-branded)')
+        .setOption('legend', { position: 'bottom' })
+        .setOption('pointSize', 5)
+        .setOption('series', series)
+        .setOption('colors', colors)
+        .setOption('vAxis', { title: m.title })
+        .setOption('hAxis', { title: periodLabel, slantedText: true, slantedTextAngle: 45 })
+        .setOption('width', chartWidth)
+        .setOption('height', chartHeight)
+        .build();
+    } else {
+      // Stacked column chart for volume metrics
+      mainChart = chartSheet.newChart()
+        .setChartType(Charts.ChartType.COLUMN)
+        .addRange(xAxisRange)
+        .addRange(dataSeriesRange)
+        .setPosition(startRow + numRows, 1, 0, 0)
+        .setOption('title', m.title + ' by ' + periodLabel + ' (Branded vs Non-branded)')
+        .setOption('legend', { position: 'bottom' })
+        .setOption('isStacked', true)
+        .setOption('series', series)
+        .setOption('colors', colors)
+        .setOption('vAxis', { title: m.title })
+        .setOption('hAxis', { title: periodLabel, slantedText: true, slantedTextAngle: 45 })
+        .setOption('width', chartWidth)
+        .setOption('height', chartHeight)
+        .build();
+    }
+    chartSheet.insertChart(mainChart);
+
+    // Ratio chart (positioned to the right) - only for metrics that need it
+    if (!m.skipRatio) {
+      // Data-only range (no header row) to avoid duplicate x-axis labels; enable Aggregate via applyAggregateData
+      const ratioDataOnly = chartSheet.getRange(startRow + 1, ratioColStart, numRows, ratioColStart + 1);
+      const ratioChart = chartSheet.newChart()
+        .setChartType(Charts.ChartType.AREA)
+        .addRange(ratioDataOnly)
+        .setPosition(startRow + numRows, ratioColStart + 2, 0, 0)  // To the right of the main chart (G with two segments)
+        .setOption('title', 'Branded Dependency Ratio - ' + m.title)
+        .setOption('legend', { position: ratioColors.length > 1 ? 'bottom' : 'none' })
+        .setOption('useFirstColumnAsDomain', true)
+        .setOption('applyAggregateData', 1)  // Enables "Aggregate" in UI so x-axis shows each period once
+        .setOption('series', ratioSeries)
+        .setOption('colors', ratioColors)
+        .setOption('vAxis', { title: '% Branded', format: 'percent', minValue: 0, maxValue: 1 })
+        .setOption('hAxis', { title: periodLabel, slantedText: true, slantedTextAngle: 45 })
+        .setOption('width', ratioChartWidth)
+        .setOption('height', chartHeight)
+        .build();
+      chartSheet.insertChart(ratioChart);
+    }
+
+    startRow += numRows + Math.ceil(chartHeight / rowHeight) + 2;
+  });
+}
+
+function writeAllCharts(ss, combined, byType, dateRange) {
+  const currency = AdsApp.currentAccount().getCurrencyCode();
+  writeChartsForView(CONFIG, ss, getChartPeriodData(CONFIG, combined.periodData, dateRange), 'Charts - Combined', currency);
+  if (CONFIG.includeByCampaignType && byType) {
+    getActiveChannels(CONFIG).forEach(function (channel) {
+      writeChartsForView(CONFIG, ss, getChartPeriodData(CONFIG, byType[channel.name].periodData, dateRange), 'Charts - ' + channel.name, currency);
+    });
+  }
+}
+
+// Build chart data rows for categories view (includes blank, and competitor when enabled)
+function buildChartDataRowsWithBlank(config, periodData, valueType) {
+  const includeCompetitor = config.competitorTokens.length > 0;
+  const periods = Object.keys(periodData).sort();
+  const rows = [];
+  periods.forEach(function (periodKey) {
+    const label = formatPeriodLabel(config, periodKey);
+    const p = periodData[periodKey];
+    const valB = p.branded ? p.branded[valueType] || 0 : 0;
+    const valC = p.competitor ? p.competitor[valueType] || 0 : 0;
+    const valN = p.nonBranded ? p.nonBranded[valueType] || 0 : 0;
+    const valBlank = p.blank ? p.blank[valueType] || 0 : 0;
+    rows.push(includeCompetitor ? [label, valB, valC, valN, valBlank] : [label, valB, valN, valBlank]);
+  });
+  return rows;
+}
+
+// Charts for Pmax Categories (no cost metrics, includes blank, stacked column charts + ratio line charts)
+function writeChartsForCategoriesView(config, ss, periodData, chartTabName, currency) {
+  const color1 = '#4285F4';  // Blue for branded
+  const color2 = '#FBBC05';  // Yellow for non-branded
+  const color3 = '#BEBEBE';  // Gray for blank
+  const colorCompetitor = '#EA4335';  // Red for competitor
+  const labels = ['Branded', 'Non-branded', 'Blank'];
+  const colors = [color1, color2, color3];
+  if (config.competitorTokens.length > 0) {
+    labels.splice(1, 0, 'Competitor');
+    colors.splice(1, 0, colorCompetitor);
+  }
+  const series = {};
+  labels.forEach(function (label, idx) {
+    series[idx] = { labelInLegend: label, color: colors[idx] };
+  });
+  const ratioHeader = [getRatioHeader(config)];
+  const ratioSeries = getRatioSeriesOptions(config);
+  const ratioColors = Object.keys(ratioSeries).map(function (k) { return ratioSeries[k].color; });
+  const currFmt = '"' + currency + '" #,##0.00';
+  const periodLabel = getPeriodAxisTitle(config);
+  const perDay = getChartTitleSuffix(config);
+
+  let chartSheet = ss.getSheetByName(chartTabName);
+  if (!chartSheet) {
+    chartSheet = ss.insertSheet(chartTabName);
+  }
+  chartSheet.clear();
+
+  // Only 4 metrics - no cost or CPA
+  const metrics = [
+    { valueType: 'impressions', title: 'Impressions' + perDay, format: '#,##0' },
+    { valueType: 'clicks', title: 'Clicks' + perDay, format: '#,##0' },
+    { valueType: 'conversions', title: 'Conversions' + perDay, format: '#,##0.00' },
+    { valueType: 'conversionsValue', title: 'Conversion Value (' + currency + ')' + perDay, format: currFmt }
+  ];
+
+  let startRow = 1;
+  const chartWidth = 500;
+  const ratioChartWidth = 550;
+  const chartHeight = 300;
+  const rowHeight = 25;
+  const dataColStart = 1;  // Column A for bar chart data
+  const ratioColStart = dataColStart + labels.length + 2; // Ratio data after a one-column gap (F without competitor)
+
+  metrics.forEach(function (m, idx) {
+    const rows = buildChartDataRowsWithBlank(config, periodData, m.valueType);
+    if (rows.length === 0) return;
+
+    // Bar chart data: Period, Branded, (Competitor), Non-branded, Blank
+    const header = [['Period'].concat(labels)];
+    const allRows = header.concat(rows);
+    const numRows = allRows.length;
+    const numDataRows = rows.length;
+
+    chartSheet.getRange(startRow, dataColStart, numRows, labels.length + 1).setValues(allRows);
+    if (m.format && numDataRows >= 1) {
+      chartSheet.getRange(startRow + 1, dataColStart + 1, numDataRows, labels.length).setNumberFormat(m.format);
+    }
+
+    // Ratio data - includeBlank = true for categories
+    const ratioRows = buildBrandedRatioRows(config, periodData, m.valueType, true);
+    const allRatioRows = ratioHeader.concat(ratioRows);
+    chartSheet.getRange(startRow, ratioColStart, numRows, ratioHeader[0].length).setValues(allRatioRows);
+    chartSheet.getRange(startRow + 1, ratioColStart + 1, numDataRows, ratioHeader[0].length - 1).setNumberFormat('0.0%');
+
+    // Bar chart (positioned below data, column A)
+    const xAxisRange = chartSheet.getRange(startRow, dataColStart, numRows, 1);
+    const dataSeriesRange = chartSheet.getRange(startRow, dataColStart + 1, numRows, labels.length);
+    
+    const barChart = chartSheet.newChart()
+      .setChartType(Charts.ChartType.COLUMN)
+      .addRange(xAxisRange)
+      .addRange(dataSeriesRange)
+      .setPosition(startRow + numRows, 1, 0, 0)
+      .setOption('title', m.title + ' by ' + periodLabel + ' (Branded vs Non-branded) - Consumer Spotlight')
+      .setOption('legend', { position: 'bottom' })
+      .setOption('isStacked', true)
+      .setOption('series', series)
+      .setOption('colors', colors)
+      .setOption('vAxis', { title: m.title })
+      .setOption('hAxis', { title: periodLabel, slantedText: true, slantedTextAngle: 45 })
+      .setOption('width', chartWidth)
+      .setOption('height', chartHeight)
+      .build();
+    chartSheet.insertChart(barChart);
+
+    // Ratio chart (positioned to the right of bar chart)
+    // Data-only range + applyAggregateData to fix x-axis duplicate labels
+    const ratioDataOnly = chartSheet.getRange(startRow + 1, ratioColStart, numRows, ratioColStart + 1);
+    const ratioChart = chartSheet.newChart()
+      .setChartType(Charts.ChartType.AREA)
+      .addRange(ratioDataOnly)
+      .setPosition(startRow + numRows, ratioColStart + 2, 0, 0)  // To the right of the bar chart (H without competitor)
+      .setOption('title', 'Branded Dependency Ratio - ' + m.title)
+      .setOption('legend', { position: ratioColors.length > 1 ? 'bottom' : 'none' })
+      .setOption('useFirstColumnAsDomain', true)
+      .setOption('applyAggregateData', 1)  // Enables "Aggregate" in UI so x-axis shows each period once
+      .setOption('series', ratioSeries)
+      .setOption('colors', ratioColors)
+      .setOption('vAxis', { title: '% Branded', format: 'percent', minValue: 0, maxValue: 1 })
+      .setOption('hAxis', { title: periodLabel, slantedText: true, slantedTextAngle: 45 })
+      .setOption('width', ratioChartWidth)
+      .setOption('height', chartHeight)
+      .build();
+    chartSheet.insertChart(ratioChart);
+
+    startRow += numRows + Math.ceil(chartHeight / rowHeight) + 2;
+  });
 }
 
-// ===== BUILD RAW TAB ROWS =====
-function buildRawTabRows(periodData) {
-  const periods = Object.keys(periodData).sort();
-  const rows = [];
-  rows.push(['Period', 'Segment', 'Impressions', 'Clicks', 'Cost', 'Conversions', 'Conversion Value', 'CPA', 'ROAS']);
-  periods.forEach(function (periodKey) {
-    const p = periodData[periodKey];
-    const label = formatPeriodLabel(periodKey);
-    const cpaB = p.branded.conversions > 0 ? p.branded.cost / p.branded.conversions : 0;
-    const cpaN = p.nonBranded.conversions > 0 ? p.nonBranded.cost / p.nonBranded.conversions : 0;
-    const roasB = p.branded.cost > 0 ? p.branded.conversionsValue / p.branded.cost : 0;
-    const roasN = p.nonBranded.cost > 0 ? p.nonBranded.conversionsValue / p.nonBranded.cost : 0;
-    rows.push([label, 'Branded', p.branded.impressions, p.branded.clicks, p.branded.cost, p.branded.conversions, p.branded.conversionsValue, cpaB, roasB]);
-    rows.push([label, 'Non-branded', p.nonBranded.impressions, p.nonBranded.clicks, p.nonBranded.cost, p.nonBranded.conversions, p.nonBranded.conversionsValue, cpaN, roasN]);
+function writePmaxCategoriesCharts(ss, pmaxCategoriesData, dateRange) {
+  if (!CONFIG.includePmaxCategories || !pmaxCategoriesData) return;
+  const currency = AdsApp.currentAccount().getCurrencyCode();
+  writeChartsForCategoriesView(CONFIG, ss, getChartPeriodData(CONFIG, pmaxCategoriesData.periodData, dateRange), 'Charts - Pmax Categories', currency);
+}
+
+// ===== COMPARISON =====
+// Earlier ranges compared with the report range, when enabled in CONFIG
+const COMPARISON_PERIODS = [
+  { key: 'previous', setting: 'comparePreviousPeriod', label: 'Previous Period' },
+  { key: 'yearAgo', setting: 'compareYearOverYear', label: 'Last Year' }
+];
+
+const COMPARISON_METRICS = [
+  { valueType: 'impressions', label: 'Impressions' },
+  { valueType: 'clicks', label: 'Clicks' },
+  { valueType: 'cost', label: 'Cost' },
+  { valueType: 'conversions', label: 'Conversions' },
+  { valueType: 'conversionsValue', label: 'Conversion Value' },
+  { valueType: 'cpa', label: 'CPA' },
+  { valueType: 'roas', label: 'ROAS' }
+];
+
+// 'previous': the same number of days ending the day before the range; 'yearAgo': the same dates a year earlier
+function getComparisonRange(range, key) {
+  if (key === 'previous') {
+    const end = addDaysToDate(range.start, -1);
+    return { start: addDaysToDate(end, 1 - daysInRange(range)), end: end };
+  }
+  return { start: subtractYearFromDate(range.start), end: subtractYearFromDate(range.end) };
+}
+
+// Fetches one comparison range for the report range: { key, label, range, data }. With a checkpoint, each
+// channel of the range is a unit saved in state.comparisons[key].
+function fetchComparisonPeriod(dateRange, period, checkpoint) {
+  const range = getComparisonRange(dateRange, period.key);
+  Logger.log('[Comparison] Fetching ' + period.label + ': ' + range.start + ' to ' + range.end);
+  let saved = null;
+  if (checkpoint) {
+    if (!checkpoint.state.comparisons[period.key]) checkpoint.state.comparisons[period.key] = {};
+    saved = checkpoint.state.comparisons[period.key];
+  }
+  return { key: period.key, label: period.label, range: range, data: fetchSearchTermData(range, checkpoint, saved) };
+}
+
+// Fetches each enabled comparison range (empty when comparison is off)
+function fetchComparisonData(dateRange, checkpoint) {
+  return COMPARISON_PERIODS.filter(function (period) {
+    return CONFIG[period.setting];
+  }).map(function (period) {
+    return fetchComparisonPeriod(dateRange, period, checkpoint);
+  });
+}
+
+// One row per view, segment and metric: current value, then value, change and % change for each comparison.
+// % change is left blank when the prior value is 0.
+function buildComparisonRows(result) {
+  const header = ['View', 'Segment', 'Metric', 'Current'];
+  result.comparisons.forEach(function (comparison) {
+    header.push(comparison.label, 'Change vs ' + comparison.label, '% Change vs ' + comparison.label);
+  });
+  const rows = [header];
+
+  const views = [{ label: 'Combined', totals: function (data) { return getFetchedTotals(data.combined); } }];
+  if (CONFIG.includeByCampaignType) {
+    getActiveChannels(CONFIG).forEach(function (channel) {
+      views.push({ label: channel.name, totals: function (data) { return getFetchedTotals(data.channels[channel.name]); } });
+    });
+  }
+  const segments = getReportSegments(CONFIG).concat([{ label: 'Total', metrics: totalMetrics }]);
+  const currentData = { combined: result.combined, channels: result.byType };
+
+  views.forEach(function (view) {
+    const currentTotals = view.totals(currentData);
+    const priorTotals = result.comparisons.map(function (comparison) { return view.totals(comparison.data); });
+    segments.forEach(function (segment) {
+      COMPARISON_METRICS.forEach(function (metric) {
+        const current = metricValue(segment.metrics(currentTotals), metric.valueType);
+        const row = [view.label, segment.label, metric.label, current];
+        priorTotals.forEach(function (totals) {
+          const prior = metricValue(segment.metrics(totals), metric.valueType);
+          row.push(prior, current - prior, prior !== 0 ? (current - prior) / prior : '');
+        });
+        rows.push(row);
+      });
+    });
   });
   return rows;
 }
 
-// Build raw rows for categories (no cost metrics available, includes blank)
-function buildRawTabRowsNoCost(periodData) {
-  const periods = Object.keys(periodData).sort();
-  const rows = [];
-  rows.push(['Period', 'Segment', 'Impressions', 'Clicks', 'Conversions', 'Conversion Value']);
-  periods.forEach(function (periodKey) {
-    const p = periodData[periodKey];
-    const label = formatPeriodLabel(periodKey);
-    rows.push([label, 'Branded', p.branded.impressions, p.branded.clicks, p.branded.conversions, p.branded.conversionsValue]);
-    rows.push([label, 'Non-branded', p.nonBranded.impressions, p.nonBranded.clicks, p.nonBranded.conversions, p.nonBranded.conversionsValue]);
-    // Blank category for unidentifiable search categories
-    if (p.blank) {
-      rows.push([label, 'Blank', p.blank.impressions, p.blank.clicks, p.blank.conversions, p.blank.conversionsValue]);
-    }
+// Combined branded share per period for the report range and each comparison range. Prior periods are
+// lined up by position (first period against first period), labelled with the current period.
+function buildBrandedShareComparisonRows(result, valueType) {
+  const series = [buildBrandedRatioRows(CONFIG, result.combined.periodData, valueType, false)];
+  result.comparisons.forEach(function (comparison) {
+    series.push(buildBrandedRatioRows(CONFIG, comparison.data.combined.periodData, valueType, false));
   });
+  const numPeriods = Math.max.apply(null, series.map(function (rows) { return rows.length; }));
+  const rows = [['Period', 'Current'].concat(result.comparisons.map(function (comparison) { return comparison.label; }))];
+  for (let i = 0; i < numPeriods; i++) {
+    const row = [series[0][i] ? series[0][i][0] : 'Period ' + (i + 1)];
+    series.forEach(function (ratioRows) {
+      row.push(ratioRows[i] ? ratioRows[i][1] : null);
+    });
+    rows.push(row);
+  }
   return rows;
 }
 
-// ===== SHEET: INFO + RAW TABS =====
-function getOrCreateSheet(ss, name) {
-  let sh = ss.getSheetByName(name);
-  if (!sh) {
-    sh = ss.insertSheet(name);
-  } else {
-    sh.clear();
+function writeComparisonTab(ss, result) {
+  if (result.comparisons.length === 0) return;
+  const sh = getOrCreateSheet(ss, 'Comparison');
+  sh.getCharts().forEach(function (chart) { sh.removeChart(chart); });
+
+  const rangeRows = [['Current Period', result.fetchedRange.start + ' to ' + result.fetchedRange.end]];
+  result.comparisons.forEach(function (comparison) {
+    rangeRows.push([comparison.label, comparison.range.start + ' to ' + comparison.range.end]);
+  });
+  sh.getRange(1, 1, rangeRows.length, 2).setValues(rangeRows);
+
+  const tableRow = rangeRows.length + 2;
+  const rows = buildComparisonRows(result);
+  sh.getRange(tableRow, 1, rows.length, rows[0].length).setValues(rows);
+  sh.getRange(tableRow, 1, 1, rows[0].length).setFontWeight('bold');
+  result.comparisons.forEach(function (comparison, idx) {
+    sh.getRange(tableRow + 1, 7 + idx * 3, rows.length - 1, 1).setNumberFormat('0.0%');
+  });
+
+  // Branded share overlays, to the right of the table
+  const periodLabel = getPeriodAxisTitle(CONFIG);
+  const colors = ['#34A853', '#9AA0A6', '#FBBC05'];
+  const chartHeight = 300;
+  const rowHeight = 25;
+  const dataCol = rows[0].length + 2;
+  let startRow = 1;
+  [
+    { valueType: 'clicks', title: 'Clicks' },
+    { valueType: 'cost', title: 'Cost' },
+    { valueType: 'conversions', title: 'Conversions' }
+  ].forEach(function (m) {
+    const shareRows = buildBrandedShareComparisonRows(result, m.valueType);
+    if (shareRows.length < 2) return;
+    const numCols = shareRows[0].length;
+    sh.getRange(startRow, dataCol, shareRows.length, numCols).setValues(shareRows);
+    sh.getRange(startRow + 1, dataCol + 1, shareRows.length - 1, numCols - 1).setNumberFormat('0.0%');
+
+    const chart = sh.newChart()
+      .setChartType(Charts.ChartType.LINE)
+      .addRange(sh.getRange(startRow, dataCol, shareRows.length, numCols))
+      .setPosition(startRow, dataCol + numCols + 1, 0, 0)
+      .setOption('title', '% Branded ' + m.title + ' - Current vs Prior')
+      .setOption('legend', { position: 'bottom' })
+      .setOption('pointSize', 5)
+      .setOption('colors', colors.slice(0, numCols - 1))
+      .setOption('vAxis', { title: '% Branded', format: 'percent', minValue: 0, maxValue: 1 })
+      .setOption('hAxis', { title: periodLabel, slantedText: true, slantedTextAngle: 45 })
+      .setOption('width', 550)
+      .setOption('height', chartHeight)
+      .build();
+    sh.insertChart(chart);
+
+    startRow += Math.max(shareRows.length, Math.ceil(chartHeight / rowHeight)) + 2;
+  });
+}
+
+// ===== ANOMALY ALERTS =====
+// Checks run on each channel's per-period data. value returns null when the metric is undefined
+// for a period (e.g. CPA without conversions); such periods are left out of the baseline.
+const ALERT_CHECKS = [
+  {
+    key: 'brandedShare',
+    label: 'Branded share of cost',
+    format: 'percent',
+    value: function (p) {
+      const classified = p.branded.cost + p.competitor.cost + p.nonBranded.cost;
+      return classified > 0 ? p.branded.cost / classified : null;
+    }
+  },
+  { key: 'brandedCost', label: 'Branded cost', format: 'currency', value: function (p) { return p.branded.cost; } },
+  {
+    key: 'brandedCpa',
+    label: 'Branded CPA',
+    format: 'currency',
+    value: function (p) { return p.branded.conversions > 0 ? metricValue(p.branded, 'cpa') : null; }
+  },
+  {
+    key: 'brandedRoas',
+    label: 'Branded ROAS',
+    format: 'number',
+    value: function (p) { return p.branded.cost > 0 ? metricValue(p.branded, 'roas') : null; }
   }
-  return sh;
+];
+const ALERT_MIN_BASELINE_PERIODS = 3;
+// Floor for the baseline standard deviation as a share of its mean, so a flat baseline does not flag every change
+const ALERT_MIN_STD_DEV_SHARE = 0.1;
+
+// { min, max } a value is expected to fall in (either side may be undefined), or null when there is
+// not enough history to judge
+function getExpectedRange(check, baseline) {
+  if (CONFIG.alertMethod === 'threshold') {
+    return CONFIG.alertThresholds[check.key] || null;
+  }
+  if (baseline.length < ALERT_MIN_BASELINE_PERIODS) return null;
+  const mean = baseline.reduce(function (sum, v) { return sum + v; }, 0) / baseline.length;
+  const variance = baseline.reduce(function (sum, v) { return sum + (v - mean) * (v - mean); }, 0) / baseline.length;
+  const stdDev = Math.max(Math.sqrt(variance), ALERT_MIN_STD_DEV_SHARE * Math.abs(mean));
+  if (stdDev === 0) return null;
+  const margin = CONFIG.alertZScore * stdDev;
+  return { min: Math.max(0, mean - margin), max: mean + margin };
+}
+
+// Runs every check on the latest period of one channel against the periods before it. Only periods fully inside
+// dateRange count: one still in progress, or cut off at the start of the range, would look like a drop in cost.
+function findChannelAnomalies(channel, periodData, dateRange) {
+  const periods = Object.keys(periodData).sort().filter(function (periodKey) {
+    return !isPartialPeriod(CONFIG, periodKey, dateRange);
+  });
+  if (periods.length === 0) return [];
+  const latestKey = periods[periods.length - 1];
+  const baselineKeys = periods.slice(Math.max(0, periods.length - 1 - CONFIG.alertBaselinePeriods), periods.length - 1);
+
+  const anomalies = [];
+  ALERT_CHECKS.forEach(function (check) {
+    const actual = check.value(periodData[latestKey]);
+    if (actual === null) return;
+    const baseline = baselineKeys.map(function (periodKey) {
+      return check.value(periodData[periodKey]);
+    }).filter(function (v) {
+      return v !== null;
+    });
+    const expected = getExpectedRange(check, baseline);
+    if (!expected) return;
+    if ((expected.min !== undefined && actual < expected.min) || (expected.max !== undefined && actual > expected.max)) {
+      anomalies.push({ channel: channel, period: formatPeriodLabel(CONFIG, latestKey), check: check, expected: expected, actual: actual });
+    }
+  });
+  return anomalies;
+}
+
+function findAnomalies(result) {
+  const views = [{ channel: 'Combined', data: result.combined }];
+  if (result.byType) {
+    getActiveChannels(CONFIG).forEach(function (channel) {
+      views.push({ channel: channel.name, data: result.byType[channel.name] });
+    });
+  }
+  let anomalies = [];
+  views.forEach(function (view) {
+    anomalies = anomalies.concat(findChannelAnomalies(view.channel, view.data.periodData, result.dateRange));
+  });
+  return anomalies;
 }
 
-function writeInfoAndRawTabs(ss, combined, byType, dateRangeStr) {
+function formatAlertValue(check, value, currency) {
+  if (check.format === 'percent') return (value * 100).toFixed(1) + '%';
+  if (check.format === 'currency') return currency + ' ' + value.toFixed(2);
+  return value.toFixed(2);
+}
+
+function describeExpectedRange(check, expected, currency) {
+  if (expected.min === undefined) return 'at most ' + formatAlertValue(check, expected.max, currency);
+  if (expected.max === undefined) return 'at least ' + formatAlertValue(check, expected.min, currency);
+  return formatAlertValue(check, expected.min, currency) + ' to ' + formatAlertValue(check, expected.max, currency);
+}
+
+// Every threshold check with at least one bound, e.g. "Branded cost: at most GBP 5000.00"
+function describeAlertThresholds(config, currency) {
+  return ALERT_CHECKS.filter(function (check) {
+    const range = config.alertThresholds[check.key];
+    return range && (range.min !== undefined || range.max !== undefined);
+  }).map(function (check) {
+    return check.label + ': ' + describeExpectedRange(check, config.alertThresholds[check.key], currency);
+  }).join('; ');
+}
+
+// Emails CONFIG.alertRecipients one message listing every anomaly for the current account
+function sendAnomalyAlerts(result, reportUrl) {
+  if (!CONFIG.alertsEnabled) return;
+  const anomalies = findAnomalies(result);
+  Logger.log('[Alerts] ' + anomalies.length + ' anomal' + (anomalies.length === 1 ? 'y' : 'ies') + ' found.');
+  if (anomalies.length === 0) return;
+
   const account = AdsApp.currentAccount();
-  const timeZone = account.getTimeZone();
   const currency = account.getCurrencyCode();
+  const lines = anomalies.map(function (a) {
+    return '- ' + a.channel + ', ' + a.period + ', ' + a.check.label + ': ' +
+      formatAlertValue(a.check, a.actual, currency) + ' (expected ' + describeExpectedRange(a.check, a.expected, currency) + ')';
+  });
+  const body = [
+    'Unusual branded performance in ' + account.getName() + ' (' + account.getCustomerId() + '), date range ' + result.dateRangeStr + ':',
+    ''
+  ].concat(lines).concat([
+    '',
+    'Method: ' + (CONFIG.alertMethod === 'zscore'
+      ? 'more than ' + CONFIG.alertZScore + ' standard deviations from the mean of up to ' + CONFIG.alertBaselinePeriods + ' earlier periods'
+      : 'fixed thresholds'),
+    'Report: ' + reportUrl
+  ]).join('\n');
 
-  const infoSheet = getOrCreateSheet(ss, 'Info');
-  const infoData = [
-    ['Account Name', account.getName()],
-    ['Account ID', account.getCustomerId()],
-    ['Currency', currency],
-    ['Date Range', dateRangeStr],
-    ['Time Granularity', TIME_GRANULARITY],
-    ['Brand Tokens', BRAND_TOKENS.join(', ')],
-    ['Run Timestamp', Utilities.formatDate(new Date(), timeZone, 'yyyy-MM-dd HH:mm:ss')]
-  ];
-  infoSheet.getRange(1, 1, infoData.length, 2).setValues(infoData);
+  MailApp.sendEmail({
+    to: CONFIG.alertRecipients.join(','),
+    subject: 'Brand analysis alert: ' + account.getName() + ' (' + anomalies.length + ' issue' + (anomalies.length === 1 ? '' : 's') + ')',
+    body: body
+  });
+}
+
+// ===== SUMMARY EMAIL =====
+// Headline metrics per segment, formatted like alert values
+const SUMMARY_METRICS = [
+  { valueType: 'cost', label: 'Cost', format: 'currency' },
+  { valueType: 'conversions', label: 'Conversions', format: 'number' },
+  { valueType: 'cpa', label: 'CPA', format: 'currency' },
+  { valueType: 'roas', label: 'ROAS', format: 'number' }
+];
+const SPARKLINE_WIDTH = 160;
+const SPARKLINE_HEIGHT = 36;
 
-  const rawCombined = getOrCreateSheet(ss, 'Raw - Combined');
-  const combinedRows = buildRawTabRows(combined.periodData);
-  if (combinedRows.length > 1) {
-    rawCombined.getRange(1, 1, combinedRows.length, combinedRows[0].length).setValues(combinedRows);
+// Whether a run on today (yyyy-MM-dd, account time zone) should send the summary
+function isSummaryDue(config, today) {
+  if (config.summarySchedule === 'weekly') {
+    return WEEK_DAYS[new Date(today + 'T00:00:00Z').getUTCDay()] === config.summaryWeekDay;
   }
+  if (config.summarySchedule === 'monthly') {
+    return Number(today.slice(8, 10)) === config.summaryMonthDay;
+  }
+  return true;
+}
 
-  if (INCLUDE_BY_CAMPAIGN_TYPE && byType) {
-    ['Search', 'Pmax', 'Shopping'].forEach(function (channel) {
-      const data = byType[channel];
-      if (!data) return;
-      const sh = getOrCreateSheet(ss, 'Raw - ' + channel);
-      const rows = buildRawTabRows(data.periodData);
-      if (rows.length > 1) {
-        sh.getRange(1, 1, rows.length, rows[0].length).setValues(rows);
-      }
+function describeSummarySchedule(config) {
+  if (config.summarySchedule === 'weekly') return 'weekly, on ' + config.summaryWeekDay;
+  if (config.summarySchedule === 'monthly') return 'monthly, on day ' + config.summaryMonthDay;
+  return 'every run';
+}
+
+// Summary of one view's period data: the latest complete period (the latest period when none is complete yet),
+// the period before it, the whole range and branded share of cost per period. latest / previous are null
+// without periods. segments are Branded, Competitor (with competitor tokens) and Non-branded.
+function buildSummaryView(config, channel, periodData, dateRange) {
+  const periods = Object.keys(periodData).sort();
+  const complete = periods.filter(function (periodKey) { return periodEndDate(config, periodKey) <= dateRange.end; });
+  const latestIndex = complete.length > 0 ? periods.indexOf(complete[complete.length - 1]) : periods.length - 1;
+  const describePeriod = function (periodKey) {
+    if (!periodKey) return null;
+    return {
+      label: formatPeriodLabel(config, periodKey),
+      partial: isPartialPeriod(config, periodKey, dateRange),
+      totals: periodData[periodKey]
+    };
+  };
+
+  const rangeTotals = emptyPeriodData(config);
+  periods.forEach(function (periodKey) { mergeTotals(rangeTotals, periodData[periodKey]); });
+  const segments = [{ key: 'branded', label: 'Branded' }];
+  if (config.competitorTokens.length > 0) segments.push({ key: 'competitor', label: 'Competitor' });
+  segments.push({ key: 'nonBranded', label: 'Non-branded' });
+
+  return {
+    channel: channel,
+    segments: segments,
+    latest: describePeriod(periods[latestIndex]),
+    previous: describePeriod(periods[latestIndex - 1]),
+    range: { label: dateRange.start + ' to ' + dateRange.end, partial: false, totals: rangeTotals },
+    shareRows: buildBrandedRatioRows(config, periodData, 'cost', false)
+  };
+}
+
+// Combined plus, when byType is given, every active channel
+function buildSummaryViews(config, combined, byType, dateRange) {
+  const views = [buildSummaryView(config, 'Combined', combined.periodData, dateRange)];
+  if (byType) {
+    getActiveChannels(config).forEach(function (channel) {
+      views.push(buildSummaryView(config, channel.name, byType[channel.name].periodData, dateRange));
     });
   }
+  return views;
+}
+
+// % change on the prior value ('–' when the prior value is 0)
+function formatSummaryChange(current, prior) {
+  if (prior === 0) return '–';
+  const change = (current - prior) / prior;
+  return (change > 0 ? '+' : '') + (change * 100).toFixed(1) + '%';
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Branded share of cost per period as a small PNG line chart, or null with fewer than two periods
+function buildSparklineImage(shareRows, name) {
+  if (shareRows.length < 2) return null;
+  const dataTable = Charts.newDataTable()
+    .addColumn(Charts.ColumnType.STRING, 'Period')
+    .addColumn(Charts.ColumnType.NUMBER, '% Branded');
+  shareRows.forEach(function (row) {
+    dataTable.addRow([row[0], row[1]]);
+  });
+  return Charts.newLineChart()
+    .setDataTable(dataTable.build())
+    .setDimensions(SPARKLINE_WIDTH, SPARKLINE_HEIGHT)
+    .setColors(['#4285F4'])
+    .setLegendPosition(Charts.Position.NONE)
+    .setOption('hAxis', { textPosition: 'none', gridlines: { count: 0 } })
+    .setOption('vAxis', { textPosition: 'none', gridlines: { count: 0 }, baselineColor: 'none', minValue: 0 })
+    .setOption('chartArea', { left: 0, top: 2, width: '100%', height: '90%' })
+    .build()
+    .getAs('image/png')
+    .setName(name + '.png');
+}
+
+// One section per view: branded share headline with its sparkline (cid:<sparklineIds[i]>), then a table of
+// SUMMARY_METRICS for the latest period, its change on the previous period and the whole range
+function buildSummaryHtml(views, sparklineIds, account, dateRangeStr, reportUrl) {
+  const cell = 'style="padding:4px 8px;border-bottom:1px solid #e0e0e0;text-align:right"';
+  const headCell = 'style="padding:4px 8px;border-bottom:1px solid #9aa0a6;text-align:right"';
+  const sections = views.map(function (view, i) {
+    const html = ['<h3 style="margin:24px 0 4px">' + escapeHtml(view.channel) + '</h3>'];
+    if (!view.latest) {
+      html.push('<p>No data in the date range.</p>');
+      return html.join('\n');
+    }
+    const latestShare = brandedShare(view.latest.totals, 'cost');
+    let share = 'Branded share of cost: <b>' + (latestShare * 100).toFixed(1) + '%</b> in ' + escapeHtml(view.latest.label);
+    if (view.previous) {
+      const points = (latestShare - brandedShare(view.previous.totals, 'cost')) * 100;
+      share += ' (' + (points > 0 ? '+' : '') + points.toFixed(1) + ' pts vs ' + escapeHtml(view.previous.label) + ')';
+    }
+    share += ', ' + (brandedShare(view.range.totals, 'cost') * 100).toFixed(1) + '% over the range';
+    html.push('<p style="margin:4px 0">' + share + '</p>');
+    if (sparklineIds[i]) {
+      html.push('<img src="cid:' + sparklineIds[i] + '" width="' + SPARKLINE_WIDTH + '" height="' + SPARKLINE_HEIGHT +
+        '" alt="Branded share of cost per period">');
+    }
+
+    const columns = [{ title: view.latest.label + (view.latest.partial ? ' (partial)' : ''), period: view.latest }];
+    if (view.previous) columns.push({ title: 'Change vs ' + view.previous.label, period: view.latest, prior: view.previous });
+    columns.push({ title: 'Whole range', period: view.range });
+    const span = view.segments.length;
+    html.push('<table style="border-collapse:collapse;font-size:13px">');
+    html.push('<tr><th></th>' + columns.map(function (column) {
+      return '<th colspan="' + span + '" ' + headCell + '>' + escapeHtml(column.title) + '</th>';
+    }).join('') + '</tr>');
+    html.push('<tr><th></th>' + columns.map(function () {
+      return view.segments.map(function (segment) { return '<th ' + headCell + '>' + segment.label + '</th>'; }).join('');
+    }).join('') + '</tr>');
+    SUMMARY_METRICS.forEach(function (metric) {
+      const values = [];
+      columns.forEach(function (column) {
+        view.segments.forEach(function (segment) {
+          const value = metricValue(column.period.totals[segment.key], metric.valueType);
+          values.push(column.prior
+            ? formatSummaryChange(value, metricValue(column.prior.totals[segment.key], metric.valueType))
+            : formatAlertValue(metric, value, account.currency));
+        });
+      });
+      html.push('<tr><td style="padding:4px 8px;border-bottom:1px solid #e0e0e0">' + metric.label + '</td>' +
+        values.map(function (value) { return '<td ' + cell + '>' + escapeHtml(value) + '</td>'; }).join('') + '</tr>');
+    });
+    html.push('</table>');
+    return html.join('\n');
+  });
+
+  return [
+    '<div style="font-family:Arial,sans-serif;color:#202124">',
+    '<h2 style="margin:0 0 4px">Brand vs non-brand: ' + escapeHtml(account.name) + '</h2>',
+    '<p style="margin:0;color:#5f6368">' + escapeHtml(account.id) + ', ' + escapeHtml(dateRangeStr) + '</p>'
+  ].concat(sections).concat([
+    '<p style="margin-top:24px"><a href="' + escapeHtml(reportUrl) + '">Open the full report</a></p>',
+    '</div>'
+  ]).join('\n');
 }
 
-function writePmaxCategoriesTab(ss, pmaxCategoriesData) {
-  if (!INCLUDE_PMAX_CATEGORIES || !pmaxCategoriesData) return;
-  const sh = getOrCreateSheet(ss, 'Raw - Pmax Categories');
-  const rows = buildRawTabRowsNoCost(pmaxCategoriesData.periodData);
-  if (rows.length > 1) {
-    sh.getRange(1, 1, rows.length, rows[0].length).setValues(rows);
+// Emails CONFIG.summaryRecipients the HTML summary for the current account when the schedule says so
+function sendSummaryEmail(result, reportUrl) {
+  if (!CONFIG.summaryEmailEnabled) return;
+  const account = AdsApp.currentAccount();
+  const today = Utilities.formatDate(new Date(), account.getTimeZone(), 'yyyy-MM-dd');
+  if (!isSummaryDue(CONFIG, today)) {
+    Logger.log('[Summary] Not sent: schedule is ' + describeSummarySchedule(CONFIG) + '.');
+    return;
   }
+
+  const views = buildSummaryViews(CONFIG, result.combined, result.byType, result.dateRange);
+  const inlineImages = {};
+  const sparklineIds = views.map(function (view, i) {
+    const image = buildSparklineImage(view.shareRows, 'share' + i);
+    if (!image) return null;
+    inlineImages['share' + i] = image;
+    return 'share' + i;
+  });
+  const details = { name: account.getName(), id: account.getCustomerId(), currency: account.getCurrencyCode() };
+  const latest = views[0].latest;
+  const body = ['Brand vs non-brand summary for ' + details.name + ' (' + details.id + '), ' + result.dateRangeStr + '.']
+    .concat(views.filter(function (view) { return view.latest; }).map(function (view) {
+      return '- ' + view.channel + ': branded share of cost ' + (brandedShare(view.latest.totals, 'cost') * 100).toFixed(1) +
+        '% in ' + view.latest.label;
+    }))
+    .concat(['', 'Report: ' + reportUrl])
+    .join('\n');
+
+  MailApp.sendEmail({
+    to: CONFIG.summaryRecipients.join(','),
+    subject: 'Brand vs non-brand summary: ' + details.name + (latest ? ' (' + latest.label + ')' : ''),
+    body: body,
+    htmlBody: buildSummaryHtml(views, sparklineIds, details, result.dateRangeStr, reportUrl),
+    inlineImages: inlineImages
+  });
+  Logger.log('[Summary] Sent to ' + CONFIG.summaryRecipients.join(', ') + '.');
 }
 
-// ===== CHARTS =====
-// Build chart data rows for one metric (Period, Branded, Non-branded)
-function buildChartDataRows(periodData, valueType) {
-  const periods = Object.keys(periodData).sort();
+// ===== EXPORTS =====
+// Long-format export columns, in order; the BigQuery table schema is built from them, so add columns only at the
+// end (and to existing tables by hand) to keep earlier exports loadable
+const EXPORT_COLUMNS = [
+  { name: 'account_id', type: 'STRING' },
+  { name: 'account_name', type: 'STRING' },
+  { name: 'channel', type: 'STRING' },
+  { name: 'period_start', type: 'DATE' },
+  { name: 'period_end', type: 'DATE' },
+  { name: 'days_in_period', type: 'INTEGER' },
+  { name: 'segment', type: 'STRING' },
+  { name: 'metric', type: 'STRING' },
+  { name: 'value', type: 'FLOAT' },
+  { name: 'run_timestamp', type: 'TIMESTAMP' }
+];
+
+// Metrics exported per segment (CPA / ROAS are left to the warehouse); Pmax Categories have no cost
+const EXPORT_METRICS = [
+  { key: 'impressions', name: 'impressions' },
+  { key: 'clicks', name: 'clicks' },
+  { key: 'cost', name: 'cost' },
+  { key: 'conversions', name: 'conversions' },
+  { key: 'conversionsValue', name: 'conversion_value' }
+];
+
+// Seconds to wait for a BigQuery load job before leaving it to finish on its own
+const BIGQUERY_LOAD_WAIT_SECONDS = 60;
+
+// Long-format rows (no header) for one account's analysis: Combined, every active channel and Pmax Categories,
+// with the same segments as the Raw tabs. account is { id, name }; runTimestamp is written to every row.
+function buildExportRows(config, result, account, runTimestamp) {
+  const segments = getReportSegments(config);
+  const views = [{ channel: 'Combined', periodData: result.combined.periodData, segments: segments, metrics: EXPORT_METRICS }];
+  getActiveChannels(config).forEach(function (channel) {
+    views.push({ channel: channel.name, periodData: result.channels[channel.name].periodData, segments: segments, metrics: EXPORT_METRICS });
+  });
+  if (result.pmaxCategoriesData) {
+    views.push({
+      channel: 'Pmax Categories',
+      periodData: result.pmaxCategoriesData.periodData,
+      segments: segments.filter(function (segment) { return segment.key !== 'unclassifiable'; }).concat([
+        { label: 'Blank', metrics: function (p) { return p.blank || emptyMetrics(); } }
+      ]),
+      metrics: EXPORT_METRICS.filter(function (metric) { return metric.key !== 'cost'; })
+    });
+  }
+
   const rows = [];
-  periods.forEach(function (periodKey) {
-    const label = formatPeriodLabel(periodKey);
-    const p = periodData[periodKey];
-    let valB = p.branded[valueType];
-    let valN = p.nonBranded[valueType];
-    if (valueType === 'cpa') {
-      valB = p.branded.conversions > 0 ? p.branded.cost / p.branded.conversions : 0;
-      valN = p.nonBranded.conversions > 0 ? p.nonBranded.cost / p.nonBranded.conversions : 0;
-    } else if (valueType === 'roas') {
-      valB = p.branded.cost > 0 ? p.branded.conversionsValue / p.branded.cost : 0;
-      valN = p.nonBranded.cost > 0 ? p.nonBranded.conversionsValue / p.nonBranded.cost : 0;
-    }
-    rows.push([label, valB, valN]);
+  views.forEach(function (view) {
+    Object.keys(view.periodData).sort().forEach(function (periodKey) {
+      const p = view.periodData[periodKey];
+      const periodEnd = periodEndDate(config, periodKey);
+      const days = daysInPeriod(config, periodKey, result.dateRange);
+      view.segments.forEach(function (segment) {
+        const m = segment.metrics(p);
+        view.metrics.forEach(function (metric) {
+          rows.push([account.id, account.name, view.channel, periodKey, periodEnd, days, segment.label, metric.name,
+            m[metric.key] || 0, runTimestamp]);
+        });
+      });
+    });
   });
   return rows;
 }
 
-// Build branded ratio data (branded / total as percentage)
-function buildBrandedRatioRows(periodData, valueType, includeBlank) {
-  const periods = Object.keys(periodData).sort();
+// CSV text with a header row of EXPORT_COLUMNS names; fields holding commas, quotes or line breaks are quoted
+function formatExportCsv(rows) {
+  const header = EXPORT_COLUMNS.map(function (column) { return column.name; });
+  return [header].concat(rows).map(function (row) {
+    return row.map(function (value) {
+      const s = String(value);
+      return /[",\r\n]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+    }).join(',');
+  }).join('\n') + '\n';
+}
+
+function getBigQueryTableName(config) {
+  return config.bigQueryProjectId + '.' + config.bigQueryDatasetId + '.' + config.bigQueryTableId;
+}
+
+// Accepts a Drive folder URL (.../folders/<id>) or a bare folder ID
+function getDriveFolderId(folderIdentifier) {
+  const match = String(folderIdentifier).match(/\/folders\/([a-zA-Z0-9_-]+)/);
+  if (match) return match[1];
+  if (folderIdentifier.includes('/')) throw new Error('Could not extract a folder ID from Export Folder "' + folderIdentifier + '"');
+  return folderIdentifier;
+}
+
+function writeExportCsv(csv, accountId) {
+  const folder = DriveApp.getFolderById(getDriveFolderId(CONFIG.exportFolder));
+  const stamp = Utilities.formatDate(new Date(), AdsApp.currentAccount().getTimeZone(), 'yyyyMMdd-HHmmss');
+  const file = folder.createFile('brand_vs_nonbrand_' + accountId.replace(/\D/g, '') + '_' + stamp + '.csv', csv, MimeType.CSV);
+  Logger.log('[Export] CSV written to Drive: ' + file.getName());
+}
+
+// Creates the export table when it does not exist yet; an existing table must have exactly EXPORT_COLUMNS,
+// so a changed schema stops the run instead of loading columns into the wrong fields
+function ensureBigQueryTable() {
+  const fields = EXPORT_COLUMNS.map(function (column) { return { name: column.name, type: column.type }; });
+  let table = null;
+  try {
+    table = BigQuery.Tables.get(CONFIG.bigQueryProjectId, CONFIG.bigQueryDatasetId, CONFIG.bigQueryTableId);
+  } catch (e) {
+    table = null;
+  }
+  if (!table) {
+    BigQuery.Tables.insert({
+      tableReference: { projectId: CONFIG.bigQueryProjectId, datasetId: CONFIG.bigQueryDatasetId, tableId: CONFIG.bigQueryTableId },
+      schema: { fields: fields }
+    }, CONFIG.bigQueryProjectId, CONFIG.bigQueryDatasetId);
+    Logger.log('[Export] Created BigQuery table ' + getBigQueryTableName(CONFIG));
+    return;
+  }
+  const existing = ((table.schema && table.schema.fields) || []).map(function (field) { return field.name + ' ' + field.type; });
+  const expected = fields.map(function (field) { return field.name + ' ' + field.type; });
+  if (existing.join(', ') !== expected.join(', ')) {
+    throw new Error('BigQuery table ' + getBigQueryTableName(CONFIG) + ' has columns (' + existing.join(', ') +
+      '), expected (' + expected.join(', ') + '). Use a new BigQuery Table ID or fix the table schema.');
+  }
+}
+
+// Appends the CSV to the export table with a load job and waits up to BIGQUERY_LOAD_WAIT_SECONDS for it
+function appendToBigQuery(csv) {
+  ensureBigQueryTable();
+  const job = BigQuery.Jobs.insert({
+    configuration: {
+      load: {
+        destinationTable: { projectId: CONFIG.bigQueryProjectId, datasetId: CONFIG.bigQueryDatasetId, tableId: CONFIG.bigQueryTableId },
+        sourceFormat: 'CSV',
+        skipLeadingRows: 1,
+        writeDisposition: 'WRITE_APPEND'
+      }
+    }
+  }, CONFIG.bigQueryProjectId, Utilities.newBlob(csv, 'application/octet-stream'));
+
+  const jobId = job.jobReference.jobId;
+  const location = job.jobReference.location;
+  let status = job.status;
+  for (let waited = 0; status.state !== 'DONE' && waited < BIGQUERY_LOAD_WAIT_SECONDS; waited += 5) {
+    Utilities.sleep(5000);
+    status = BigQuery.Jobs.get(CONFIG.bigQueryProjectId, jobId, { location: location }).status;
+  }
+  if (status.state !== 'DONE') {
+    Logger.log('[Export] BigQuery load job ' + jobId + ' still running; check it in the BigQuery console.');
+    return;
+  }
+  if (status.errorResult) {
+    throw new Error('BigQuery load job ' + jobId + ' failed: ' + status.errorResult.message);
+  }
+  Logger.log('[Export] Appended to BigQuery table ' + getBigQueryTableName(CONFIG));
+}
+
+// Writes the long-format export for the current account (or the client selected in MCC mode)
+function exportResult(result) {
+  if (!CONFIG.exportCsv && !CONFIG.exportBigQuery) return;
+  const account = AdsApp.currentAccount();
+  const runTimestamp = new Date().toISOString().slice(0, 19).replace('T', ' ') + ' UTC';
+  const rows = buildExportRows(CONFIG, result, { id: account.getCustomerId(), name: account.getName() }, runTimestamp);
+  if (rows.length === 0) {
+    Logger.log('[Export] No periods to export.');
+    return;
+  }
+  const csv = formatExportCsv(rows);
+  if (CONFIG.exportCsv) writeExportCsv(csv, account.getCustomerId());
+  if (CONFIG.exportBigQuery) appendToBigQuery(csv);
+  Logger.log('[Export] ' + rows.length + ' row(s) exported.');
+}
+
+// ===== HISTORY =====
+const HISTORY_HEADER = ['Account ID', 'Granularity', 'Period', 'Channel', 'Segment', 'Days in Period',
+  'Impressions', 'Clicks', 'Cost', 'Conversions', 'Conversion Value', 'Updated'];
+
+// Period data fields stored as History segments; brand groups are stored as "Branded - <name>"
+const HISTORY_SEGMENTS = [
+  { key: 'branded', label: 'Branded' },
+  { key: 'competitor', label: 'Competitor' },
+  { key: 'nonBranded', label: 'Non-branded' },
+  { key: 'unclassifiable', label: 'Unclassifiable' }
+];
+
+// Periods only match between runs with the same granularity (and week start)
+function getHistoryGranularity(config) {
+  return config.timeGranularity === 'week' ? 'week (' + config.weekStartDay + ')' : config.timeGranularity;
+}
+
+// History rows (without header) as stored, each [accountId, granularity, periodKey, channel, segment, days, ...metrics, updated]
+function readHistory(ss) {
+  const sh = ss.getSheetByName(HISTORY_TAB_NAME);
+  if (!sh || sh.getLastRow() < 2) return [];
+  return sh.getRange(2, 1, sh.getLastRow() - 1, HISTORY_HEADER.length).getValues().map(function (row) {
+    return [String(row[0]), String(row[1]), String(row[2])].concat(row.slice(3));
+  });
+}
+
+// Range to fetch: the whole report range when the account has no history yet, else the last
+// HISTORY_REFRESH_PERIODS periods, reaching back to the latest stored period if that is older
+function getHistoryFetchRange(config, historyRows, accountId, dateRange) {
+  const granularity = getHistoryGranularity(config);
+  let latestPeriod = '';
+  historyRows.forEach(function (row) {
+    if (row[0] === accountId && row[1] === granularity && row[2] > latestPeriod) latestPeriod = row[2];
+  });
+  if (!latestPeriod) return dateRange;
+
+  let start = periodStartDate(config, dateRange.end);
+  for (let i = 1; i < config.historyRefreshPeriods; i++) {
+    start = periodStartDate(config, addDaysToDate(start, -1));
+  }
+  return { start: latestPeriod < start ? latestPeriod : start, end: dateRange.end };
+}
+
+// History rows for the fetched data: Combined plus every active channel
+function buildHistoryRows(config, accountId, current, fetchRange, updated) {
+  const views = [{ channel: 'Combined', periodData: current.combined.periodData }];
+  getActiveChannels(config).forEach(function (channel) {
+    views.push({ channel: channel.name, periodData: current.channels[channel.name].periodData });
+  });
+  const granularity = getHistoryGranularity(config);
   const rows = [];
-  periods.forEach(function (periodKey) {
-    const label = formatPeriodLabel(periodKey);
-    const p = periodData[periodKey];
-    let valB, valN, valBlank;
-    if (valueType === 'cpa') {
-      valB = p.branded.conversions > 0 ? p.branded.cost / p.branded.conversions : 0;
-      valN = p.nonBranded.conversions > 0 ? p.nonBranded.cost / p.nonBranded.conversions : 0;
-      valBlank = (includeBlank && p.blank && p.blank.conversions > 0) ? p.blank.cost / p.blank.conversions : 0;
-    } else if (valueType === 'roas') {
-      valB = p.branded.cost > 0 ? p.branded.conversionsValue / p.branded.cost : 0;
-      valN = p.nonBranded.cost > 0 ? p.nonBranded.conversionsValue / p.nonBranded.cost : 0;
-      valBlank = (includeBlank && p.blank && p.blank.cost > 0) ? p.blank.conversionsValue / p.blank.cost : 0;
-    } else {
-      valB = p.branded ? p.branded[valueType] || 0 : 0;
-      valN = p.nonBranded ? p.nonBranded[valueType] || 0 : 0;
-      valBlank = (includeBlank && p.blank) ? p.blank[valueType] || 0 : 0;
+  views.forEach(function (view) {
+    Object.keys(view.periodData).sort().forEach(function (periodKey) {
+      const p = view.periodData[periodKey];
+      const days = daysInPeriod(config, periodKey, fetchRange);
+      const segments = HISTORY_SEGMENTS.map(function (segment) {
+        return { label: segment.label, metrics: p[segment.key] };
+      });
+      Object.keys(p.groups).forEach(function (name) {
+        segments.push({ label: 'Branded - ' + name, metrics: p.groups[name] });
+      });
+      segments.forEach(function (segment) {
+        const m = segment.metrics;
+        rows.push([accountId, granularity, periodKey, view.channel, segment.label, days,
+          m.impressions, m.clicks, m.cost, m.conversions, m.conversionsValue, updated]);
+      });
+    });
+  });
+  return rows;
+}
+
+// Replaces this account's stored periods from the fetched range onwards (and any other period fetched again)
+// and rewrites the History tab
+function upsertHistory(config, ss, historyRows, newRows, accountId, fetchRange) {
+  const granularity = getHistoryGranularity(config);
+  const firstFetched = periodStartDate(config, fetchRange.start);
+  const fetchedPeriods = {};
+  newRows.forEach(function (row) { fetchedPeriods[row[2]] = true; });
+  const rows = historyRows.filter(function (row) {
+    if (row[0] !== accountId || row[1] !== granularity) return true;
+    return row[2] < firstFetched && !fetchedPeriods[row[2]];
+  }).concat(newRows);
+  rows.sort(function (a, b) {
+    for (let i = 0; i < 4; i++) {
+      if (a[i] !== b[i]) return a[i] < b[i] ? -1 : 1;
     }
-    const total = valB + valN + (includeBlank ? valBlank : 0);
-    const ratio = total > 0 ? valB / total : 0;
-    rows.push([label, ratio]);
+    return 0;
   });
+
+  const sh = getOrCreateSheet(ss, HISTORY_TAB_NAME);
+  sh.getRange(1, 1, 1, HISTORY_HEADER.length).setValues([HISTORY_HEADER]);
+  if (rows.length > 0) {
+    // Plain text, so Sheets keeps IDs and period keys as typed
+    sh.getRange(2, 1, rows.length, 3).setNumberFormat('@');
+    sh.getRange(2, 1, rows.length, HISTORY_HEADER.length).setValues(rows);
+  }
   return rows;
 }
 
-function writeChartsForView(ss, periodData, chartTabName, currency) {
-  const color1 = '#4285F4';
-  const color2 = '#FBBC05';
-  const colorRatio = '#34A853';  // Green for ratio line
-  const currFmt = '"' + currency + '" #,##0.00';
-  const periodLabel = TIME_GRANULARITY === 'week' ? 'Week' : 'Month';
+// Period data per channel ('Combined' and channel names) rebuilt from this account's History rows,
+// plus the date range they cover: { periodData: { channel: periodData }, range }
+function buildHistoryPeriodData(config, historyRows, accountId, dateRange) {
+  const granularity = getHistoryGranularity(config);
+  const segmentKeys = {};
+  HISTORY_SEGMENTS.forEach(function (segment) { segmentKeys[segment.label] = segment.key; });
 
-  let chartSheet = ss.getSheetByName(chartTabName);
-  if (!chartSheet) {
-    chartSheet = ss.insertSheet(chartTabName);
+  const periodData = {};
+  let firstPeriod = null;
+  historyRows.forEach(function (row) {
+    if (row[0] !== accountId || row[1] !== granularity) return;
+    const periodKey = row[2];
+    const channel = row[3];
+    if (!periodData[channel]) periodData[channel] = {};
+    if (!periodData[channel][periodKey]) periodData[channel][periodKey] = emptyPeriodData(config);
+    const p = periodData[channel][periodKey];
+    const metrics = {
+      impressions: Number(row[6]) || 0,
+      clicks: Number(row[7]) || 0,
+      cost: Number(row[8]) || 0,
+      conversions: Number(row[9]) || 0,
+      conversionsValue: Number(row[10]) || 0
+    };
+    const segment = String(row[4]);
+    if (segmentKeys[segment]) {
+      addMetrics(p[segmentKeys[segment]], metrics);
+    } else if (segment.indexOf('Branded - ') === 0) {
+      const name = segment.slice('Branded - '.length);
+      if (!p.groups[name]) p.groups[name] = emptyMetrics();
+      addMetrics(p.groups[name], metrics);
+    }
+    if (!firstPeriod || periodKey < firstPeriod.key) firstPeriod = { key: periodKey, days: Number(row[5]) || 0 };
+  });
+
+  // The oldest period may have been stored partial (the first backfill rarely starts on a period boundary)
+  let start = dateRange.start;
+  if (firstPeriod) {
+    const periodEnd = periodEndDate(config, firstPeriod.key);
+    start = addDaysToDate(periodEnd < dateRange.end ? periodEnd : dateRange.end, 1 - firstPeriod.days);
   }
-  chartSheet.clear();
+  return { periodData: periodData, range: { start: start, end: dateRange.end } };
+}
 
-  // Metrics: useLineChart = true for CPA/ROAS (not stacked), skipRatio = true to skip ratio chart
-  const metrics = [
-    { valueType: 'impressions', title: 'Impressions', format: '#,##0', useLineChart: false, skipRatio: false },
-    { valueType: 'clicks', title: 'Clicks', format: '#,##0', useLineChart: false, skipRatio: false },
-    { valueType: 'cost', title: 'Cost (' + currency + ')', format: currFmt, useLineChart: false, skipRatio: false },
-    { valueType: 'conversions', title: 'Conversions', format: '#,##0.00', useLineChart: false, skipRatio: false },
-    { valueType: 'conversionsValue', title: 'Conversion Value (' + currency + ')', format: currFmt, useLineChart: false, skipRatio: false },
-    { valueType: 'cpa', title: 'Cost per Conversion (' + currency + ')', format: currFmt, useLineChart: true, skipRatio: true },
-    { valueType: 'roas', title: 'ROAS', format: '#,##0.00', useLineChart: true, skipRatio: true }
-  ];
+// ===== CHECKPOINT =====
+// Columns: Account ID, Part, JSON (split into parts, as a cell holds at most 50,000 characters)
+const CHECKPOINT_PART_LENGTH = 45000;
 
-  let startRow = 1;
-  const chartWidth = 500;
-  const ratioChartWidth = 550;
-  const chartHeight = 300;
-  const rowHeight = 25;
-  const dataColStart = 1;  // Column A for chart data
-  const ratioColStart = 5; // Column E for ratio data (leaving gap)
+// Settings the saved work depends on; a checkpoint saved under different settings is discarded
+function getCheckpointSignature() {
+  return JSON.stringify(CONFIG);
+}
 
-  metrics.forEach(function (m, idx) {
-    const rows = buildChartDataRows(periodData, m.valueType);
-    if (rows.length === 0) return;
+function readCheckpointRows(ss) {
+  const sh = ss.getSheetByName(CHECKPOINT_TAB_NAME);
+  if (!sh || sh.getLastRow() < 1) return [];
+  return sh.getRange(1, 1, sh.getLastRow(), 3).getValues().map(function (row) {
+    return [String(row[0]), Number(row[1]), String(row[2])];
+  });
+}
 
-    // Chart data (columns A-C)
-    const header = [['Period', 'Branded', 'Non-branded']];
-    const allRows = header.concat(rows);
-    const numRows = allRows.length;
-    const dataStartRow = startRow + 1;
-    const numDataRows = numRows - 1;
+function writeCheckpointRows(ss, rows) {
+  const sh = getOrCreateSheet(ss, CHECKPOINT_TAB_NAME);
+  if (rows.length > 0) {
+    sh.getRange(1, 1, rows.length, 1).setNumberFormat('@');
+    sh.getRange(1, 1, rows.length, 3).setValues(rows);
+  }
+  sh.hideSheet();
+}
 
-    chartSheet.getRange(startRow, dataColStart, numRows, 3).setValues(allRows);
-    if (m.format && numDataRows >= 1) {
-      chartSheet.getRange(dataStartRow, dataColStart + 1, numDataRows, 2).setNumberFormat(m.format);
+// The account's saved state if it was saved with the current settings, else a fresh one:
+// { accountId, signature, dateRange, channels: { name: channel data }, pmaxCategories,
+//   comparisons: { key: { name: channel data } }, reconciliation: { name: { periodKey: cost } } }
+function loadCheckpoint(ss, accountId) {
+  const parts = readCheckpointRows(ss).filter(function (row) { return row[0] === accountId; });
+  if (parts.length > 0) {
+    parts.sort(function (a, b) { return a[1] - b[1]; });
+    const saved = JSON.parse(parts.map(function (row) { return row[2]; }).join(''));
+    if (saved.signature === getCheckpointSignature()) {
+      saved.comparisons = saved.comparisons || {};
+      saved.reconciliation = saved.reconciliation || {};
+      Logger.log('[Checkpoint] Resuming run started for ' + saved.dateRange.start + ' to ' + saved.dateRange.end + '.');
+      return saved;
     }
+    Logger.log('[Checkpoint] Settings changed since the last checkpoint, starting over.');
+  }
+  return {
+    accountId: accountId, signature: getCheckpointSignature(), dateRange: null, channels: {}, pmaxCategories: null,
+    comparisons: {}, reconciliation: {}
+  };
+}
 
-    // Ratio data (columns E-F) - only for metrics that need it
-    if (!m.skipRatio) {
-      const ratioRows = buildBrandedRatioRows(periodData, m.valueType, false);
-      const ratioHeader = [['Period', '% Branded']];
-      const allRatioRows = ratioHeader.concat(ratioRows);
-      chartSheet.getRange(startRow, ratioColStart, numRows, 2).setValues(allRatioRows);
-      chartSheet.getRange(dataStartRow, ratioColStart + 1, numDataRows, 1).setNumberFormat('0.0%');
-    }
+function saveCheckpoint(ss, state) {
+  const json = JSON.stringify(state);
+  const rows = readCheckpointRows(ss).filter(function (row) { return row[0] !== state.accountId; });
+  for (let i = 0; i * CHECKPOINT_PART_LENGTH < json.length; i++) {
+    rows.push([state.accountId, i, json.slice(i * CHECKPOINT_PART_LENGTH, (i + 1) * CHECKPOINT_PART_LENGTH)]);
+  }
+  writeCheckpointRows(ss, rows);
+}
 
-    // Main chart (positioned below data, column A)
-    // Use separate ranges for x-axis and data series to fix label issues
-    const xAxisRange = chartSheet.getRange(startRow, dataColStart, numRows, 1);  // Period column with header
-    const dataSeriesRange = chartSheet.getRange(startRow, dataColStart + 1, numRows, 2);  // Branded, Non-branded with headers
+// Drops the account's checkpoint once its report is complete
+function clearCheckpoint(ss, accountId) {
+  const rows = readCheckpointRows(ss);
+  const kept = rows.filter(function (row) { return row[0] !== accountId; });
+  if (kept.length === rows.length) return;
+  writeCheckpointRows(ss, kept);
+}
 
-    let mainChart;
-    if (m.useLineChart) {
-      // Line chart for CPA and ROAS (two lines, not stacked)
-      mainChart = chartSheet.newChart()
-        .setChartType(Charts.ChartType.LINE)
-        .addRange(xAxisRange)
-        .addRange(dataSeriesRange)
-        .setPosition(startRow + numRows, 1, 0, 0)
-        .setOption('title', m.title + ' by ' + periodLabel + ' (Branded vs Non-branded)')
-        .setOption('legend', { position: 'bottom' })
-        .setOption('pointSize', 5)
-        .setOption('series', {
-          0: { labelInLegend: 'Branded', color: color1 },
-          1: { labelInLegend: 'Non-branded', color: color2 }
-        })
-        .setOption('colors', [color1, color2])
-        .setOption('vAxis', { title: m.title })
-        .setOption('hAxis', { title: periodLabel, slantedText: true, slantedTextAngle: 45 })
-        .setOption('width', chartWidth)
-        .setOption('height', chartHeight)
-        .build();
-    } else {
-      // Stacked column chart for volume metrics
-      mainChart = chartSheet.newChart()
-        .setChartType(Charts.ChartType.COLUMN)
-        .addRange(xAxisRange)
-        .addRange(dataSeriesRange)
-        .setPosition(startRow + numRows, 1, 0, 0)
-        .setOption('title', m.title + ' by ' + periodLabel + ' (Branded vs Non-branded)')
-        .setOption('legend', { position: 'bottom' })
-        .setOption('isStacked', true)
-        .setOption('series', {
-          0: { labelInLegend: 'Branded', color: color1 },
-          1: { labelInLegend: 'Non-branded', color: color2 }
-        })
-        .setOption('colors', [color1, color2])
-        .setOption('vAxis', { title: m.title })
-        .setOption('hAxis', { title: periodLabel, slantedText: true, slantedTextAngle: 45 })
-        .setOption('width', chartWidth)
-        .setOption('height', chartHeight)
-        .build();
-    }
-    chartSheet.insertChart(mainChart);
+// Saves the checkpoint and stops the run (with an error marked checkpointSaved) when time is nearly up
+function stopIfOutOfTime(checkpoint) {
+  if (AdsApp.getExecutionInfo().getRemainingTime() >= CONFIG.checkpointReserveSeconds) return;
+  saveCheckpoint(checkpoint.ss, checkpoint.state);
+  const error = new Error('Out of time: progress saved to the "' + CHECKPOINT_TAB_NAME + '" tab, the next run resumes.');
+  error.checkpointSaved = true;
+  throw error;
+}
 
-    // Ratio chart (positioned to the right) - only for metrics that need it
-    if (!m.skipRatio) {
-      // Data-only range (no header row) to avoid duplicate x-axis labels; enable Aggregate via applyAggregateData
-      const ratioDataOnly = chartSheet.getRange(startRow + 1, ratioColStart, numRows, ratioColStart + 1);
-      const ratioChart = chartSheet.newChart()
-        .setChartType(Charts.ChartType.AREA)
-        .addRange(ratioDataOnly)
-        .setPosition(startRow + numRows, 7, 0, 0)  // Column G (to the right)
-        .setOption('title', 'Branded Dependency Ratio - ' + m.title)
-        .setOption('legend', { position: 'none' })
-        .setOption('useFirstColumnAsDomain', true)
-        .setOption('applyAggregateData', 1)  // Enables "Aggregate" in UI so x-axis shows each period once
-        .setOption('series', {
-          0: { color: colorRatio }
-        })
-        .setOption('colors', [colorRatio])
-        .setOption('vAxis', { title: '% Branded', format: 'percent', minValue: 0, maxValue: 1 })
-        .setOption('hAxis', { title: periodLabel, slantedText: true, slantedTextAngle: 45 })
-        .setOption('width', ratioChartWidth)
-        .setOption('height', chartHeight)
-        .build();
-      chartSheet.insertChart(ratioChart);
+// ===== TAB ORDER =====
+function reorderTabs(ss) {
+  const order = ['Info', 'Summary - Accounts', 'Summary - Campaigns', 'Config', 'Raw - Combined']
+    .concat(channelTabNames('Raw - ', true))
+    .concat(['Raw - By Campaign', 'Reconciliation', 'History', 'Brand Misspellings', 'Comparison'])
+    .concat(channelTabNames('Top Terms - ', false))
+    .concat(['N-grams', 'Cannibalisation', 'Suggested Negatives', 'Charts - Combined'])
+    .concat(channelTabNames('Charts - ', true));
+  order.forEach(function (name, idx) {
+    const tab = ss.getSheetByName(name);
+    if (tab) {
+      ss.setActiveSheet(tab);
+      ss.moveActiveSheet(idx + 1);
     }
-
-    startRow += numRows + Math.ceil(chartHeight / rowHeight) + 2;
   });
 }
 
-function writeAllCharts(ss, combined, byType) {
-  const currency = AdsApp.currentAccount().getCurrencyCode();
-  writeChartsForView(ss, combined.periodData, 'Charts - Combined', currency);
-  if (INCLUDE_BY_CAMPAIGN_TYPE && byType) {
-    if (byType.Search) writeChartsForView(ss, byType.Search.periodData, 'Charts - Search', currency);
-    if (byType.Pmax) writeChartsForView(ss, byType.Pmax.periodData, 'Charts - Pmax', currency);
-    if (byType.Shopping) writeChartsForView(ss, byType.Shopping.periodData, 'Charts - Shopping', currency);
+// ===== MANAGER ACCOUNT (MCC) RUN =====
+function getManagedAccounts() {
+  let selector = AdsManagerApp.accounts();
+  if (MCC_ACCOUNT_IDS.length > 0) {
+    selector = selector.withIds(MCC_ACCOUNT_IDS);
+  } else if (MCC_ACCOUNT_LABEL) {
+    selector = selector.withCondition("LabelNames CONTAINS '" + MCC_ACCOUNT_LABEL.replace(/'/g, "\\'") + "'");
+  } else {
+    throw new Error('MCC_MODE needs MCC_ACCOUNT_IDS or MCC_ACCOUNT_LABEL');
   }
+  const accounts = [];
+  const iterator = selector.get();
+  while (iterator.hasNext()) {
+    accounts.push(iterator.next());
+  }
+  return accounts;
 }
 
-// Build chart data rows for categories view (includes blank)
-function buildChartDataRowsWithBlank(periodData, valueType) {
-  const periods = Object.keys(periodData).sort();
-  const rows = [];
-  periods.forEach(function (periodKey) {
-    const label = formatPeriodLabel(periodKey);
-    const p = periodData[periodKey];
-    const valB = p.branded ? p.branded[valueType] || 0 : 0;
-    const valN = p.nonBranded ? p.nonBranded[valueType] || 0 : 0;
-    const valBlank = p.blank ? p.blank[valueType] || 0 : 0;
-    rows.push([label, valB, valN, valBlank]);
+// MCC_ACCOUNT_SETTINGS entry for a customer ID, matching with or without dashes
+function getAccountSettings(customerId) {
+  const digits = String(customerId).replace(/\D/g, '');
+  let key;
+  for (key in MCC_ACCOUNT_SETTINGS) {
+    if (!MCC_ACCOUNT_SETTINGS.hasOwnProperty(key)) continue;
+    if (key.replace(/\D/g, '') === digits) return MCC_ACCOUNT_SETTINGS[key];
+  }
+  return {};
+}
+
+// Per-account settings minus sheetUrl, ready to pass to loadConfig as overrides
+function getAccountConfigOverrides(settings) {
+  const overrides = {};
+  Object.keys(settings).forEach(function (key) {
+    if (key !== 'sheetUrl') overrides[key] = settings[key];
   });
-  return rows;
+  return overrides;
 }
 
-// Charts for Pmax Categories (no cost metrics, includes blank, stacked column charts + ratio line charts)
-function writeChartsForCategoriesView(ss, periodData, chartTabName, currency) {
-  const color1 = '#4285F4';  // Blue for branded
-  const color2 = '#FBBC05';  // Yellow for non-branded
-  const color3 = '#BEBEBE';  // Gray for blank
-  const colorRatio = '#34A853';  // Green for ratio line
-  const currFmt = '"' + currency + '" #,##0.00';
-  const periodLabel = TIME_GRANULARITY === 'week' ? 'Week' : 'Month';
+function buildAccountSummary(account, result, reportUrl) {
+  const t = result.combined.totals;
+  return {
+    customerId: account.getCustomerId(),
+    name: account.getName(),
+    currency: AdsApp.currentAccount().getCurrencyCode(),
+    dateRangeStr: result.historyPeriods > 0 ? result.dateRange.start + ' to ' + result.dateRange.end : result.dateRangeStr,
+    totalCost: totalMetrics(t).cost,
+    brandedCost: t.branded.cost,
+    shares: ['impressions', 'clicks', 'cost', 'conversions', 'conversionsValue'].map(function (valueType) {
+      return brandedShare(t, valueType);
+    }),
+    reportUrl: reportUrl,
+    error: ''
+  };
+}
 
-  let chartSheet = ss.getSheetByName(chartTabName);
-  if (!chartSheet) {
-    chartSheet = ss.insertSheet(chartTabName);
-  }
-  chartSheet.clear();
+// Appends one account's Raw tables to the roll-up, prefixed with Account ID / Account Name columns
+function appendRollupTables(rollupTables, result, customerId, accountName) {
+  buildRawTables(result).forEach(function (table) {
+    if (!rollupTables[table.name]) {
+      rollupTables[table.name] = { name: table.name, rows: [['Account ID', 'Account Name'].concat(table.rows[0])] };
+      rollupTables.order.push(table.name);
+    }
+    table.rows.slice(1).forEach(function (row) {
+      rollupTables[table.name].rows.push([customerId, accountName].concat(row));
+    });
+  });
+}
 
-  // Only 4 metrics - no cost or CPA
-  const metrics = [
-    { valueType: 'impressions', title: 'Impressions', format: '#,##0' },
-    { valueType: 'clicks', title: 'Clicks', format: '#,##0' },
-    { valueType: 'conversions', title: 'Conversions', format: '#,##0.00' },
-    { valueType: 'conversionsValue', title: 'Conversion Value (' + currency + ')', format: currFmt }
+function writeManagerInfoTab(ss, managerAccount, summaries) {
+  const failed = summaries.filter(function (s) { return s.error; }).length;
+  const infoSheet = getOrCreateSheet(ss, 'Info');
+  const infoData = [
+    ['Manager Account Name', managerAccount.getName()],
+    ['Manager Account ID', managerAccount.getCustomerId()],
+    ['Output', MCC_OUTPUT],
+    ['Accounts Selected By', MCC_ACCOUNT_IDS.length > 0 ? 'IDs: ' + MCC_ACCOUNT_IDS.join(', ') : 'Label: ' + MCC_ACCOUNT_LABEL],
+    ['Accounts Analysed', summaries.length - failed],
+    ['Accounts Failed', failed],
+    ['Run Timestamp', Utilities.formatDate(new Date(), managerAccount.getTimeZone(), 'yyyy-MM-dd HH:mm:ss')]
   ];
+  infoSheet.getRange(1, 1, infoData.length, 2).setValues(infoData);
+}
 
-  let startRow = 1;
-  const chartWidth = 500;
-  const ratioChartWidth = 550;
-  const chartHeight = 300;
-  const rowHeight = 25;
-  const dataColStart = 1;  // Column A for bar chart data
-  const ratioColStart = 6; // Column F for ratio data (leaving gap after D)
+// Cross-account comparison of branded share, plus a chart of branded share of cost per account
+function writeAccountSummaryTab(ss, summaries) {
+  const sh = getOrCreateSheet(ss, 'Summary - Accounts');
+  sh.getCharts().forEach(function (chart) { sh.removeChart(chart); });
+  const rows = [['Account ID', 'Account Name', 'Currency', 'Date Range', 'Total Cost', 'Branded Cost',
+    '% Branded Impressions', '% Branded Clicks', '% Branded Cost', '% Branded Conversions', '% Branded Conv. Value',
+    'Report', 'Status']];
+  summaries.forEach(function (s) {
+    if (s.error) {
+      rows.push([s.customerId, s.name, '', '', '', '', '', '', '', '', '', s.reportUrl || '', 'Error: ' + s.error]);
+      return;
+    }
+    rows.push([s.customerId, s.name, s.currency, s.dateRangeStr, s.totalCost, s.brandedCost]
+      .concat(s.shares)
+      .concat([s.reportUrl, 'OK']));
+  });
+  sh.getRange(1, 1, rows.length, rows[0].length).setValues(rows);
+  if (rows.length < 2) return;
+  sh.getRange(2, 7, rows.length - 1, 5).setNumberFormat('0.0%');
 
-  metrics.forEach(function (m, idx) {
-    const rows = buildChartDataRowsWithBlank(periodData, m.valueType);
-    if (rows.length === 0) return;
+  const chart = sh.newChart()
+    .setChartType(Charts.ChartType.COLUMN)
+    .addRange(sh.getRange(1, 2, rows.length, 1))
+    .addRange(sh.getRange(1, 9, rows.length, 1))
+    .setPosition(rows.length + 3, 1, 0, 0)
+    .setOption('title', 'Branded Share of Cost by Account')
+    .setOption('legend', { position: 'none' })
+    .setOption('colors', ['#4285F4'])
+    .setOption('vAxis', { title: '% Branded', format: 'percent', minValue: 0, maxValue: 1 })
+    .setOption('hAxis', { title: 'Account', slantedText: true, slantedTextAngle: 45 })
+    .setOption('width', 700)
+    .setOption('height', 350)
+    .build();
+  sh.insertChart(chart);
+}
 
-    // Bar chart data (columns A-D): Period, Branded, Non-branded, Blank
-    const header = [['Period', 'Branded', 'Non-branded', 'Blank']];
-    const allRows = header.concat(rows);
-    const numRows = allRows.length;
-    const numDataRows = rows.length;
+// Manager settings the saved progress depends on; progress saved under different settings is discarded
+function getManagerCheckpointSignature() {
+  return JSON.stringify([MCC_ACCOUNT_IDS, MCC_ACCOUNT_LABEL, MCC_OUTPUT, MCC_ACCOUNT_SETTINGS]);
+}
 
-    chartSheet.getRange(startRow, dataColStart, numRows, 4).setValues(allRows);
-    if (m.format && numDataRows >= 1) {
-      chartSheet.getRange(startRow + 1, dataColStart + 1, numDataRows, 3).setNumberFormat(m.format);
+// Progress of a manager run, kept on the Checkpoint tab of SHEET_URL under the manager's customer ID:
+// { accountId, signature, done: { customerId: true }, summaries, rollupTables }
+function loadManagerCheckpoint(ss, managerId) {
+  const parts = readCheckpointRows(ss).filter(function (row) { return row[0] === managerId; });
+  if (parts.length > 0) {
+    parts.sort(function (a, b) { return a[1] - b[1]; });
+    const saved = JSON.parse(parts.map(function (row) { return row[2]; }).join(''));
+    if (saved.signature === getManagerCheckpointSignature()) {
+      Logger.log('[MCC] Resuming: ' + Object.keys(saved.done).length + ' account(s) already done.');
+      return saved;
     }
+    Logger.log('[MCC] Manager settings changed since the last checkpoint, starting over.');
+  }
+  return { accountId: managerId, signature: getManagerCheckpointSignature(), done: {}, summaries: [], rollupTables: { order: [] } };
+}
 
-    // Ratio data (columns F-G) - includeBlank = true for categories
-    const ratioRows = buildBrandedRatioRows(periodData, m.valueType, true);
-    const ratioHeader = [['Period', '% Branded']];
-    const allRatioRows = ratioHeader.concat(ratioRows);
-    chartSheet.getRange(startRow, ratioColStart, numRows, 2).setValues(allRatioRows);
-    chartSheet.getRange(startRow + 1, ratioColStart + 1, numDataRows, 1).setNumberFormat('0.0%');
+// Analyses each selected client account. Per-account failures are logged and listed on the
+// summary tab instead of stopping the whole run. When an account pauses on a checkpoint (or, with its Checkpoint
+// Enabled setting on, fewer than its Checkpoint Reserve Seconds remain before it starts), the finished accounts
+// are saved and the run stops without writing the summary and roll-up tabs; the next run skips the finished accounts.
+function runManagerAccounts() {
+  if (MCC_OUTPUT !== 'perAccount' && MCC_OUTPUT !== 'rollup') {
+    throw new Error("MCC_OUTPUT must be 'perAccount' or 'rollup'");
+  }
+  const managerAccount = AdsApp.currentAccount();
+  const managerId = managerAccount.getCustomerId();
+  const summarySs = SpreadsheetApp.openById(getSheetId(SHEET_URL));
+  const accounts = getManagedAccounts();
+  Logger.log('[MCC] Analysing ' + accounts.length + ' account(s), output: ' + MCC_OUTPUT);
 
-    // Bar chart (positioned below data, column A)
-    const xAxisRange = chartSheet.getRange(startRow, dataColStart, numRows, 1);
-    const dataSeriesRange = chartSheet.getRange(startRow, dataColStart + 1, numRows, 3);
-    
-    const barChart = chartSheet.newChart()
-      .setChartType(Charts.ChartType.COLUMN)
-      .addRange(xAxisRange)
-      .addRange(dataSeriesRange)
-      .setPosition(startRow + numRows, 1, 0, 0)
-      .setOption('title', m.title + ' by ' + periodLabel + ' (Branded vs Non-branded) - Consumer Spotlight')
-      .setOption('legend', { position: 'bottom' })
-      .setOption('isStacked', true)
-      .setOption('series', {
-        0: { labelInLegend: 'Branded', color: color1 },
-        1: { labelInLegend: 'Non-branded', color: color2 },
-        2: { labelInLegend: 'Blank', color: color3 }
-      })
-      .setOption('colors', [color1, color2, color3])
-      .setOption('vAxis', { title: m.title })
-      .setOption('hAxis', { title: periodLabel, slantedText: true, slantedTextAngle: 45 })
-      .setOption('width', chartWidth)
-      .setOption('height', chartHeight)
-      .build();
-    chartSheet.insertChart(barChart);
+  const progress = loadManagerCheckpoint(summarySs, managerId);
+  const summaries = progress.summaries;
+  const rollupTables = progress.rollupTables;
+  let paused = null;
+  for (let i = 0; i < accounts.length; i++) {
+    const account = accounts[i];
+    const customerId = account.getCustomerId();
+    if (progress.done[customerId]) continue;
+    const settings = getAccountSettings(customerId);
+    let reportUrl = MCC_OUTPUT === 'perAccount' ? settings.sheetUrl : SHEET_URL;
+    try {
+      AdsManagerApp.select(account);
+      let ss = summarySs;
+      if (MCC_OUTPUT === 'perAccount') {
+        if (!reportUrl) throw new Error('no sheetUrl in MCC_ACCOUNT_SETTINGS');
+        ss = SpreadsheetApp.openById(getSheetId(reportUrl));
+      }
+      CONFIG = loadConfig(ss, getAccountConfigOverrides(settings));
+      if (CONFIG.checkpointEnabled && AdsApp.getExecutionInfo().getRemainingTime() < CONFIG.checkpointReserveSeconds) {
+        paused = 'out of time before account ' + customerId;
+        break;
+      }
+      const result = runAnalysis(ss);
+      if (MCC_OUTPUT === 'perAccount') {
+        writeReport(ss, result);
+      } else {
+        appendRollupTables(rollupTables, result, customerId, account.getName());
+      }
+      sendAnomalyAlerts(result, reportUrl);
+      sendSummaryEmail(result, reportUrl);
+      exportResult(result);
+      summaries.push(buildAccountSummary(account, result, reportUrl));
+      Logger.log('[MCC] Account ' + customerId + ' done.');
+    } catch (e) {
+      if (e.checkpointSaved) {
+        Logger.log('[MCC] Account ' + customerId + ' paused: ' + e);
+        paused = 'account ' + customerId + ' paused';
+        break;
+      }
+      Logger.log('[MCC] Account ' + customerId + ' failed: ' + e);
+      summaries.push({ customerId: customerId, name: account.getName(), reportUrl: reportUrl, error: String(e.message || e) });
+    }
+    progress.done[customerId] = true;
+  }
+  AdsManagerApp.select(managerAccount);
 
-    // Ratio chart (positioned to the right of bar chart)
-    // Data-only range + applyAggregateData to fix x-axis duplicate labels
-    const ratioDataOnly = chartSheet.getRange(startRow + 1, ratioColStart, numRows, ratioColStart + 1);
-    const ratioChart = chartSheet.newChart()
-      .setChartType(Charts.ChartType.AREA)
-      .addRange(ratioDataOnly)
-      .setPosition(startRow + numRows, 8, 0, 0)  // Column H (to the right)
-      .setOption('title', 'Branded Dependency Ratio - ' + m.title)
-      .setOption('legend', { position: 'none' })
-      .setOption('useFirstColumnAsDomain', true)
-      .setOption('applyAggregateData', 1)  // Enables "Aggregate" in UI so x-axis shows each period once
-      .setOption('series', {
-        0: { color: colorRatio }
-      })
-      .setOption('colors', [colorRatio])
-      .setOption('vAxis', { title: '% Branded', format: 'percent', minValue: 0, maxValue: 1 })
-      .setOption('hAxis', { title: periodLabel, slantedText: true, slantedTextAngle: 45 })
-      .setOption('width', ratioChartWidth)
-      .setOption('height', chartHeight)
-      .build();
-    chartSheet.insertChart(ratioChart);
+  if (paused) {
+    saveCheckpoint(summarySs, progress);
+    const error = new Error('Out of time (' + paused + '): ' + Object.keys(progress.done).length + ' of ' + accounts.length +
+      ' account(s) done and saved to the "' + CHECKPOINT_TAB_NAME + '" tab, the next run resumes.');
+    error.checkpointSaved = true;
+    throw error;
+  }
+  clearCheckpoint(summarySs, managerId);
 
-    startRow += numRows + Math.ceil(chartHeight / rowHeight) + 2;
+  writeManagerInfoTab(summarySs, managerAccount, summaries);
+  rollupTables.order.forEach(function (name) {
+    const table = rollupTables[name];
+    const sh = getOrCreateSheet(summarySs, name);
+    sh.getRange(1, 1, table.rows.length, table.rows[0].length).setValues(table.rows);
   });
+  writeAccountSummaryTab(summarySs, summaries);
+  reorderTabs(summarySs);
 }
 
-function writePmaxCategoriesCharts(ss, pmaxCategoriesData) {
-  if (!INCLUDE_PMAX_CATEGORIES || !pmaxCategoriesData) return;
-  const currency = AdsApp.currentAccount().getCurrencyCode();
-  writeChartsForCategoriesView(ss, pmaxCategoriesData.periodData, 'Charts - Pmax Categories', currency);
-}
-
-// ===== TAB ORDER =====
-function reorderTabs(ss) {
-  const order = [
-    'Info',
-    'Raw - Combined',
-    'Raw - Search',
-    'Raw - Pmax',
-    'Raw - Pmax Categories',
-    'Raw - Shopping',
-    'Charts - Combined',
-    'Charts - Search',
-    'Charts - Pmax',
-    'Charts - Pmax Categories',
-    'Charts - Shopping'
-  ];
-  order.forEach(function (name, idx) {
-    const tab = ss.getSheetByName(name);
-    if (tab) {
-      ss.setActiveSheet(tab);
-      ss.moveActiveSheet(idx + 1);
+// ===== MAIN =====
+// Data for every active channel over one date range (keyed by channel name), plus all channels combined.
+// With a checkpoint ({ ss, state }), channels fetched by an earlier run are reused and new ones recorded in saved
+// (state.channels unless given).
+function fetchSearchTermData(dateRange, checkpoint, saved) {
+  const units = checkpoint ? saved || checkpoint.state.channels : null;
+  const combined = {
+    totals: emptyPeriodData(CONFIG),
+    periodData: {}
+  };
+  const channels = {};
+  getActiveChannels(CONFIG).forEach(function (channel) {
+    let data = units ? units[channel.name] : null;
+    if (!data) {
+      if (checkpoint) stopIfOutOfTime(checkpoint);
+      data = fetchChannelData(channel, dateRange);
+      if (units) units[channel.name] = data;
     }
+    channels[channel.name] = data;
+    mergeTotals(combined.totals, data.totals);
+    mergePeriodData(CONFIG, combined.periodData, data.periodData);
   });
+  return { combined: combined, channels: channels };
 }
 
-// ===== MAIN =====
-function main() {
-  try {
-    BRAND_PATTERNS = buildBrandPatterns();
+// Runs every data fetch for the current account (or the client selected in MCC mode) with CONFIG.
+// ss is the report spreadsheet, holding the History tab when USE_HISTORY is on.
+function runAnalysis(ss) {
+  CLASSIFIER = buildClassifier(CONFIG);
+  CAMPAIGN_LABELS = needsCampaignLabels(CONFIG) ? loadCampaignLabels() : {};
+  CAMPAIGN_FILTER_IDS = resolveCampaignFilter(CONFIG, CAMPAIGN_LABELS);
+
+  const reportRange = getDateRange();
+  const dateRangeStr = CONFIG.startDate && CONFIG.endDate ? CONFIG.startDate + ' to ' + CONFIG.endDate : 'Last ' + CONFIG.lookbackDays + ' days';
+
+  // With history, only the still-settling periods are fetched; everything below works on that range.
+  // A resumed run keeps the range of the run that saved the checkpoint.
+  const accountId = AdsApp.currentAccount().getCustomerId();
+  const historyRows = CONFIG.useHistory ? readHistory(ss) : [];
+  const checkpoint = CONFIG.checkpointEnabled ? { ss: ss, state: loadCheckpoint(ss, accountId) } : null;
+  let dateRange = checkpoint ? checkpoint.state.dateRange : null;
+  if (!dateRange) {
+    dateRange = CONFIG.useHistory ? getHistoryFetchRange(CONFIG, historyRows, accountId, reportRange) : reportRange;
+    if (checkpoint) checkpoint.state.dateRange = dateRange;
+  }
+
+  const current = fetchSearchTermData(dateRange, checkpoint);
+
+  // Pmax Categories (Consumer Spotlight) - separate data source
+  let pmaxCategoriesData = null;
+  if (CONFIG.includePmaxCategories && CONFIG.channels.indexOf('Pmax') !== -1) {
+    pmaxCategoriesData = processCampaignSearchTermInsight(dateRange, checkpoint);
+  }
+  const byType = CONFIG.includeByCampaignType ? current.channels : null;
+  const comparisons = fetchComparisonData(dateRange, checkpoint);
+
+  // Top Terms changes are measured against the previous period, reusing the comparison fetch when there is one
+  let previousPeriod = null;
+  if (CONFIG.includeTopTerms) {
+    const previousComparisons = comparisons.filter(function (comparison) { return comparison.key === 'previous'; });
+    previousPeriod = previousComparisons.length > 0 ? previousComparisons[0] : fetchComparisonPeriod(dateRange, COMPARISON_PERIODS[0], checkpoint);
+  }
+
+  const nearMatchesByChannel = {};
+  getSearchTermChannels(CONFIG).forEach(function (channel) {
+    nearMatchesByChannel[channel.name] = current.channels[channel.name].nearMatches;
+  });
 
-    const dateClause = getDateRangeClause();
-    const dateRangeStr = START_DATE && END_DATE ? START_DATE + ' to ' + END_DATE : 'Last ' + LOOKBACK_DAYS + ' days';
+  let suggestedNegatives = null;
+  if (CONFIG.includeSuggestedNegatives) {
+    suggestedNegatives = buildSuggestedNegatives(CONFIG, CLASSIFIER, CAMPAIGN_LABELS, current.channels);
+    applySuggestedNegatives(suggestedNegatives);
+  }
 
-    const searchData = processSearchTermView('SEARCH');
-    const shoppingData = processSearchTermView('SHOPPING');
-    const pmaxData = processCampaignSearchTermView();
+  const reconciliation = CONFIG.includeReconciliation ? buildReconciliation(current.channels, dateRange, checkpoint) : null;
+  // Every fetch above is saved in the checkpoint; stop here rather than part-way through the History update
+  if (checkpoint) stopIfOutOfTime(checkpoint);
 
-    const combined = {
-      totals: { branded: emptyMetrics(), nonBranded: emptyMetrics() },
-      periodData: {}
+  // Raw tabs, charts and alerts then use every stored period
+  let periodRange = dateRange;
+  let historyPeriods = 0;
+  if (CONFIG.useHistory) {
+    const updated = Utilities.formatDate(new Date(), AdsApp.currentAccount().getTimeZone(), 'yyyy-MM-dd HH:mm:ss');
+    const stored = upsertHistory(CONFIG, ss, historyRows, buildHistoryRows(CONFIG, accountId, current, dateRange, updated),
+      accountId, dateRange);
+    const history = buildHistoryPeriodData(CONFIG, stored, accountId, dateRange);
+    const useHistory = function (data, periodData) {
+      data.periodData = periodData || {};
+      data.fetchedTotals = data.totals;
+      data.totals = sumPeriodData(CONFIG, data.periodData);
     };
-    mergeTotals(combined.totals, searchData.totals);
-    mergeTotals(combined.totals, shoppingData.totals);
-    mergeTotals(combined.totals, pmaxData.totals);
-    mergePeriodData(combined.periodData, searchData.periodData);
-    mergePeriodData(combined.periodData, shoppingData.periodData);
-    mergePeriodData(combined.periodData, pmaxData.periodData);
-
-    let byType = null;
-    if (INCLUDE_BY_CAMPAIGN_TYPE) {
-      byType = {
-        Search: searchData,
-        Pmax: pmaxData,
-        Shopping: shoppingData
-      };
-    }
+    useHistory(current.combined, history.periodData.Combined);
+    getActiveChannels(CONFIG).forEach(function (channel) {
+      useHistory(current.channels[channel.name], history.periodData[channel.name]);
+    });
+    periodRange = history.range;
+    historyPeriods = Object.keys(current.combined.periodData).length;
+    Logger.log('[History] Refetched ' + dateRange.start + ' to ' + dateRange.end + ', ' + historyPeriods + ' period(s) stored.');
+  }
+  if (checkpoint) clearCheckpoint(ss, accountId);
 
-    // Pmax Categories (Consumer Spotlight) - separate data source
-    let pmaxCategoriesData = null;
-    if (INCLUDE_PMAX_CATEGORIES) {
-      pmaxCategoriesData = processCampaignSearchTermInsight();
-    }
+  return {
+    dateRange: periodRange,
+    fetchedRange: dateRange,
+    historyPeriods: historyPeriods,
+    dateRangeStr: dateRangeStr,
+    combined: current.combined,
+    byType: byType,
+    channels: current.channels,
+    pmaxCategoriesData: pmaxCategoriesData,
+    comparisons: comparisons,
+    previousPeriod: previousPeriod,
+    suggestedNegatives: suggestedNegatives,
+    reconciliation: reconciliation,
+    nearMatchesByChannel: nearMatchesByChannel
+  };
+}
+
+function writeReport(ss, result) {
+  writeInfoAndRawTabs(ss, result);
+  writeComparisonTab(ss, result);
+  writeAllCharts(ss, result.combined, result.byType, result.dateRange);
+  writePmaxCategoriesCharts(ss, result.pmaxCategoriesData, result.dateRange);
+  reorderTabs(ss);
+}
 
-    const sheetId = getSheetId(SHEET_URL);
-    const ss = SpreadsheetApp.openById(sheetId);
+function main() {
+  try {
+    if (MCC_MODE) {
+      runManagerAccounts();
+    } else {
+      const sheetId = getSheetId(SHEET_URL);
+      const ss = SpreadsheetApp.openById(sheetId);
 
-    writeInfoAndRawTabs(ss, combined, byType, dateRangeStr);
-    writePmaxCategoriesTab(ss, pmaxCategoriesData);
-    writeAllCharts(ss, combined, byType);
-    writePmaxCategoriesCharts(ss, pmaxCategoriesData);
-    reorderTabs(ss);
+      CONFIG = loadConfig(ss, {});
+      const result = runAnalysis(ss);
+      writeReport(ss, result);
+      sendAnomalyAlerts(result, SHEET_URL);
+      sendSummaryEmail(result, SHEET_URL);
+      exportResult(result);
+    }
 
     Logger.log('Script completed successfully.');
   } catch (e) {
+    if (e.checkpointSaved) {
+      Logger.log('Script paused: ' + e.message);
+      return;
+    }
     Logger.log('Script failed: ' + e.toString());
     throw e;
   }
 }
+
+// ===== CORE API =====
+// Exported when this file is loaded as a Node module; Google Ads Scripts has no module object and skips this
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    buildDefaultConfig: buildDefaultConfig,
+    buildConfig: buildConfig,
+    validateConfig: validateConfig,
+    buildClassifier: buildClassifier,
+    classifyTerm: classifyTerm,
+    isBranded: isBranded,
+    isCompetitor: isCompetitor,
+    matchBrandGroup: matchBrandGroup,
+    isExcludedTargetingStatus: isExcludedTargetingStatus,
+    reportRowMetrics: reportRowMetrics,
+    emptyPeriodData: emptyPeriodData,
+    emptyTermData: emptyTermData,
+    addTermRow: addTermRow,
+    aggregateTermRows: aggregateTermRows,
+    mergePeriodData: mergePeriodData,
+    mergeTotals: mergeTotals,
+    totalMetrics: totalMetrics,
+    metricValue: metricValue,
+    brandedShare: brandedShare,
+    periodStartDate: periodStartDate,
+    periodEndDate: periodEndDate,
+    daysInPeriod: daysInPeriod,
+    isPartialPeriod: isPartialPeriod,
+    formatPeriodLabel: formatPeriodLabel,
+    CHANNEL_DEFINITIONS: CHANNEL_DEFINITIONS,
+    findChannelDefinition: findChannelDefinition,
+    getActiveChannels: getActiveChannels,
+    getSearchTermChannels: getSearchTermChannels,
+    getReportSegments: getReportSegments,
+    buildRawTabRows: buildRawTabRows,
+    buildRawTabRowsNoCost: buildRawTabRowsNoCost,
+    buildChannelRawTables: buildChannelRawTables,
+    getRatioHeader: getRatioHeader,
+    buildBrandedRatioRows: buildBrandedRatioRows,
+    buildChartDataRows: buildChartDataRows,
+    buildTopTermsRows: buildTopTermsRows,
+    getChartPeriodData: getChartPeriodData,
+    campaignPassesFilters: campaignPassesFilters,
+    isBrandCampaign: isBrandCampaign,
+    getByCampaignList: getByCampaignList,
+    buildNgramRows: buildNgramRows,
+    buildCannibalisationRows: buildCannibalisationRows,
+    buildSuggestedNegatives: buildSuggestedNegatives,
+    getHistoryFetchRange: getHistoryFetchRange,
+    buildHistoryRows: buildHistoryRows,
+    buildHistoryPeriodData: buildHistoryPeriodData,
+    isSummaryDue: isSummaryDue,
+    buildSummaryViews: buildSummaryViews,
+    EXPORT_COLUMNS: EXPORT_COLUMNS,
+    buildExportRows: buildExportRows,
+    formatExportCsv: formatExportCsv
+  };
+}
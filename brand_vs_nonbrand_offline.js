@@ -0,0 +1,363 @@
+/**
+ * Brand vs Non-Brand Offline Analysis (Node)
+ *
+ * Runs the brand analysis over a search terms export (CSV or JSON) instead of a live Google Ads account, e.g. for
+ * a prospect's account the script cannot run against. Rows go through the same classification and aggregation
+ * as the Search / Pmax / Shopping fetches of brand_vs_nonbrand_analysis.js, and the same Raw tables come out as
+ * CSV files or one JSON file.
+ *
+ * Input columns (matched case-insensitively, ignoring spaces and punctuation; Google Ads UI export names work):
+ * - Search term (or Term, Query)
+ * - Day / Date (yyyy-MM-dd), or Week / Month / Quarter / Period (first day of the period, yyyy-MM-dd or yyyy-MM)
+ * - Channel or Campaign type (Search, Pmax / Performance Max, Shopping); optional, defaults to --channel
+ * - Targeting status or Added/Excluded (optional; Pmax rows that are Excluded / Added excluded are skipped)
+ * - Campaign, Campaign ID (optional)
+ * - Impressions / Impr., Clicks, Cost (account currency), Conversions / Conv., Conversion value / Conv. value
+ * CSV may be comma- or tab-separated, UTF-8 or UTF-16 (as the Google Ads UI exports it); title lines above the
+ * header and "Total" rows are skipped. JSON is an array of row objects with the same keys, or { rows: [...] }.
+ *
+ * Settings come from an optional JSON file keyed like buildDefaultConfig (brandGroups, competitorTokens,
+ * timeGranularity, startDate / endDate, ...). Without Start / End Date the range is the span of the input rows.
+ *
+ * Usage:
+ *   node brand_vs_nonbrand_offline.js <input.csv|input.json> [--config settings.json] [--format csv|json]
+ *     [--out dir] [--channel Search]
+ */
+const fs = require('fs');
+const path = require('path');
+const core = require('./brand_vs_nonbrand_analysis.js');
+
+// ===== INPUT COLUMNS =====
+// Row fields and the column names they are read from, compared by columnKey()
+const INPUT_COLUMNS = {
+  text: ['searchterm', 'term', 'query'],
+  date: ['day', 'date'],
+  period: ['period', 'week', 'month', 'quarter'],
+  channel: ['channel', 'campaigntype', 'advertisingchanneltype'],
+  status: ['targetingstatus', 'searchtermtargetingstatus', 'addedexcluded'],
+  campaign: ['campaign', 'campaignname'],
+  campaignId: ['campaignid'],
+  impressions: ['impressions', 'impr'],
+  clicks: ['clicks'],
+  cost: ['cost'],
+  conversions: ['conversions', 'conv'],
+  conversionsValue: ['conversionvalue', 'conversionsvalue', 'convvalue']
+};
+
+const OUTPUT_FORMATS = ['csv', 'json'];
+
+function columnKey(name) {
+  return String(name).toLowerCase().replace(/[^0-9a-z]/g, '');
+}
+
+// Field name for each column index of a header row, or null for columns the analysis does not use
+function mapColumns(header) {
+  return header.map(function (name) {
+    const key = columnKey(name);
+    const fields = Object.keys(INPUT_COLUMNS).filter(function (field) {
+      return INPUT_COLUMNS[field].indexOf(key) !== -1;
+    });
+    return fields.length > 0 ? fields[0] : null;
+  });
+}
+
+// ===== CSV =====
+// Text of an input file: UTF-16 (with BOM, as the Google Ads UI exports) or UTF-8, without the BOM
+function readInputText(filePath) {
+  const buffer = fs.readFileSync(filePath);
+  if (buffer[0] === 0xFF && buffer[1] === 0xFE) return buffer.toString('utf16le').slice(1);
+  return buffer.toString('utf8').replace(/^\uFEFF/, '');
+}
+
+// Rows of cells from CSV text (quoted cells may hold delimiters, quotes and line breaks)
+function parseCsv(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+}
+
+function formatCsvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+function formatCsv(rows) {
+  return rows.map(function (row) { return row.map(formatCsvCell).join(','); }).join('\n') + '\n';
+}
+
+// Records ({ field: value }, with the 1-based source line as line) from CSV text. The header is the first row
+// naming a search term column, so report title lines above it are skipped.
+function readCsvRecords(text) {
+  const rows = parseCsv(text, /\t/.test(text.slice(0, 2000)) ? '\t' : ',');
+  let headerIndex = -1;
+  let columns = null;
+  for (let i = 0; i < rows.length && headerIndex === -1; i++) {
+    columns = mapColumns(rows[i]);
+    if (columns.indexOf('text') !== -1) headerIndex = i;
+  }
+  if (headerIndex === -1) {
+    throw new Error('No header row with a Search term column found');
+  }
+  const records = [];
+  for (let i = headerIndex + 1; i < rows.length; i++) {
+    const cells = rows[i];
+    if (cells.every(function (cell) { return String(cell).trim() === ''; })) continue;
+    const record = { line: i + 1 };
+    columns.forEach(function (field, idx) {
+      if (field && record[field] === undefined) record[field] = cells[idx];
+    });
+    records.push(record);
+  }
+  return records;
+}
+
+// Records from JSON text: an array of row objects, or { rows: [...] }
+function readJsonRecords(text) {
+  const parsed = JSON.parse(text);
+  const rows = Array.isArray(parsed) ? parsed : parsed && parsed.rows;
+  if (!Array.isArray(rows)) {
+    throw new Error('JSON input must be an array of rows or { rows: [...] }');
+  }
+  return rows.map(function (row, idx) {
+    const names = Object.keys(row);
+    const columns = mapColumns(names);
+    const record = { line: idx + 1 };
+    columns.forEach(function (field, i) {
+      if (field && record[field] === undefined) record[field] = row[names[i]];
+    });
+    return record;
+  });
+}
+
+// ===== RECORDS TO TERM ROWS =====
+// Number from an export cell: thousands separators, currency symbols and '--' are ignored
+function parseNumber(value) {
+  if (typeof value === 'number') return value;
+  const number = Number(String(value === undefined || value === null ? '' : value).replace(/[^0-9.eE-]/g, ''));
+  return isFinite(number) ? number : 0;
+}
+
+// yyyy-MM-dd (or yyyy-MM, read as the first of the month), or null when the cell is empty
+function parseDateCell(value, record, field) {
+  const text = String(value === undefined || value === null ? '' : value).trim();
+  if (!text) return null;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) return text;
+  if (/^\d{4}-\d{2}$/.test(text)) return text + '-01';
+  throw new Error('Row ' + record.line + ': ' + field + ' "' + text + '" is not a yyyy-MM-dd date');
+}
+
+// Channel definition for a Channel / Campaign type cell, e.g. 'Performance Max' or 'PERFORMANCE_MAX' -> Pmax
+function findInputChannel(value) {
+  const byName = core.findChannelDefinition(value);
+  if (byName) return byName;
+  const channelType = String(value).trim().toUpperCase().replace(/[^0-9A-Z]+/g, '_');
+  return core.CHANNEL_DEFINITIONS.filter(function (channel) { return channel.channelType === channelType; })[0] || null;
+}
+
+// 'Added excluded' / 'Added (excluded)' -> 'ADDED_EXCLUDED', as the API reports the status
+function normaliseTargetingStatus(value) {
+  return String(value === undefined || value === null ? '' : value).trim().toUpperCase()
+    .replace(/[^A-Z]+/g, '_').replace(/^_|_$/g, '');
+}
+
+// Term rows per channel name plus the span of their dates: { channels: { name: [row] }, count, start, end, skipped }.
+// Pmax rows with an excluded targeting status are skipped like the live Pmax fetch does.
+function buildTermRows(config, records, defaultChannel) {
+  const result = { channels: {}, count: 0, start: null, end: null, skipped: { excluded: 0, inactive: 0, outOfRange: 0 } };
+  const active = core.getActiveChannels(config).map(function (channel) { return channel.name; });
+  records.forEach(function (record) {
+    const text = String(record.text === undefined || record.text === null ? '' : record.text);
+    const date = parseDateCell(record.date, record, 'Date');
+    const period = date ? null : parseDateCell(record.period, record, 'Period');
+    if (!date && !period) {
+      if (/^total\b/i.test(text.trim())) return;
+      throw new Error('Row ' + record.line + ': no date or period');
+    }
+    const channel = findInputChannel(record.channel === undefined || record.channel === '' ? defaultChannel : record.channel);
+    if (!channel) {
+      throw new Error('Row ' + record.line + ': unknown channel "' + record.channel + '"');
+    }
+    if (channel.source !== 'searchTerms' && channel.source !== 'pmaxSearchTerms') {
+      throw new Error('Row ' + record.line + ': ' + channel.name + ' has no search terms to classify');
+    }
+    if (active.indexOf(channel.name) === -1) {
+      result.skipped.inactive++;
+      return;
+    }
+    if (channel.source === 'pmaxSearchTerms' && core.isExcludedTargetingStatus(normaliseTargetingStatus(record.status))) {
+      result.skipped.excluded++;
+      return;
+    }
+    const periodKey = core.periodStartDate(config, date || period);
+    const first = date || periodKey;
+    const last = date || core.periodEndDate(config, periodKey);
+    if (config.startDate && (last < config.startDate || first > config.endDate)) {
+      result.skipped.outOfRange++;
+      return;
+    }
+    if (!result.start || first < result.start) result.start = first;
+    if (!result.end || last > result.end) result.end = last;
+
+    if (!result.channels[channel.name]) result.channels[channel.name] = [];
+    result.count++;
+    result.channels[channel.name].push({
+      text: text,
+      campaign: record.campaign || record.campaignId
+        ? { id: String(record.campaignId || record.campaign), name: String(record.campaign || '') }
+        : null,
+      periodKey: periodKey,
+      metrics: {
+        impressions: parseNumber(record.impressions),
+        clicks: parseNumber(record.clicks),
+        cost: parseNumber(record.cost),
+        conversions: parseNumber(record.conversions),
+        conversionsValue: parseNumber(record.conversionsValue)
+      }
+    });
+  });
+  return result;
+}
+
+// ===== ANALYSIS =====
+// Raw tables for the input records: { dateRange, tables: [{ name, rows }], analysed, skipped }
+function analyseRecords(config, records, defaultChannel) {
+  const unsupported = core.getActiveChannels(config).filter(function (channel) {
+    return core.getSearchTermChannels(config).indexOf(channel) === -1;
+  });
+  if (unsupported.length > 0) {
+    throw new Error('Offline input only covers search term channels; remove ' +
+      unsupported.map(function (channel) { return channel.name; }).join(', ') + ' from channels');
+  }
+  const termRows = buildTermRows(config, records, defaultChannel);
+  if (!termRows.start) {
+    throw new Error('No input rows left to analyse');
+  }
+  const dateRange = config.startDate ? { start: config.startDate, end: config.endDate } : { start: termRows.start, end: termRows.end };
+
+  const classifier = core.buildClassifier(config);
+  const combined = { totals: core.emptyPeriodData(config), periodData: {} };
+  const byType = {};
+  core.getActiveChannels(config).forEach(function (channel) {
+    const ignoreBrand = channel.source === 'pmaxSearchTerms' && config.pmaxTreatAllAsNonBranded;
+    const data = core.aggregateTermRows(classifier, termRows.channels[channel.name] || [], ignoreBrand);
+    byType[channel.name] = data;
+    core.mergeTotals(combined.totals, data.totals);
+    core.mergePeriodData(config, combined.periodData, data.periodData);
+  });
+
+  return {
+    dateRange: dateRange,
+    tables: core.buildChannelRawTables(config, combined, byType, dateRange),
+    analysed: termRows.count,
+    skipped: termRows.skipped
+  };
+}
+
+// ===== COMMAND LINE =====
+function parseArgs(argv) {
+  const options = { input: null, config: null, format: 'csv', out: 'output', channel: 'Search' };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const name = arg.replace(/^--/, '');
+    if (arg.indexOf('--') === 0) {
+      if (!options.hasOwnProperty(name) || name === 'input') throw new Error('Unknown option ' + arg);
+      if (i + 1 >= argv.length) throw new Error(arg + ' needs a value');
+      options[name] = argv[++i];
+    } else if (!options.input) {
+      options.input = arg;
+    } else {
+      throw new Error('Only one input file can be given, got ' + arg);
+    }
+  }
+  if (!options.input) {
+    throw new Error('Usage: node brand_vs_nonbrand_offline.js <input.csv|input.json> [--config settings.json] ' +
+      '[--format csv|json] [--out dir] [--channel Search]');
+  }
+  if (OUTPUT_FORMATS.indexOf(options.format) === -1) {
+    throw new Error('--format must be one of: ' + OUTPUT_FORMATS.join(', '));
+  }
+  return options;
+}
+
+// Writes one CSV per table, or raw_tables.json holding every table; returns the written paths
+function writeTables(analysis, format, outDir) {
+  fs.mkdirSync(outDir, { recursive: true });
+  if (format === 'json') {
+    const file = path.join(outDir, 'raw_tables.json');
+    fs.writeFileSync(file, JSON.stringify({ dateRange: analysis.dateRange, tables: analysis.tables }, null, 2) + '\n');
+    return [file];
+  }
+  return analysis.tables.map(function (table) {
+    const file = path.join(outDir, table.name + '.csv');
+    fs.writeFileSync(file, formatCsv(table.rows));
+    return file;
+  });
+}
+
+function main(argv) {
+  const options = parseArgs(argv);
+  const overrides = options.config ? JSON.parse(readInputText(options.config)) : {};
+  const config = core.buildConfig(overrides);
+  const text = readInputText(options.input);
+  const records = /\.json$/i.test(options.input) ? readJsonRecords(text) : readCsvRecords(text);
+  const analysis = analyseRecords(config, records, options.channel);
+
+  const skipped = analysis.skipped;
+  console.log('Analysed ' + analysis.analysed + ' of ' + records.length + ' row(s), ' + analysis.dateRange.start + ' to ' + analysis.dateRange.end +
+    ' (skipped: ' + skipped.excluded + ' excluded Pmax, ' + skipped.inactive + ' inactive channel, ' +
+    skipped.outOfRange + ' out of range)');
+  writeTables(analysis, options.format, options.out).forEach(function (file) {
+    console.log('Wrote ' + file);
+  });
+}
+
+if (require.main === module) {
+  try {
+    main(process.argv.slice(2));
+  } catch (e) {
+    console.error('Offline analysis failed: ' + e.message);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = {
+  parseCsv: parseCsv,
+  formatCsv: formatCsv,
+  readCsvRecords: readCsvRecords,
+  readJsonRecords: readJsonRecords,
+  buildTermRows: buildTermRows,
+  analyseRecords: analyseRecords,
+  main: main
+};
@@ -0,0 +1,144 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createHarness, searchTermRow, pmaxTermRow, plain } = require('./harness');
+
+const RANGE = { start: '2025-01-01', end: '2025-02-28' };
+
+function fetchHarness(fixtures, overrides) {
+  return createHarness({ fixtures: fixtures }).useConfig(Object.assign({
+    brandGroups: [{ name: 'Core brand', tokens: ['foodsisters'], exclusions: [] }]
+  }, overrides));
+}
+
+test('processSearchTermView sums rows per period and segment', function () {
+  const h = fetchHarness([{
+    from: 'search_term_view',
+    match: /advertising_channel_type = 'SEARCH'/,
+    rows: [
+      searchTermRow('foodsisters cakes', '2025-01-01', { impressions: 100, clicks: 10, cost: 12.5, conversions: 2, conversionsValue: 40 }),
+      searchTermRow('foodsisters', '2025-01-01', { impressions: 50, clicks: 5, cost: 2.5, conversions: 1, conversionsValue: 10 }),
+      searchTermRow('birthday cake', '2025-01-01', { impressions: 200, clicks: 8, cost: 20, conversions: 1, conversionsValue: 30 }),
+      searchTermRow('birthday cake', '2025-02-01', { impressions: 300, clicks: 9, cost: 30 })
+    ]
+  }]);
+  const data = h.context.processSearchTermView('SEARCH', RANGE);
+
+  assert.deepEqual(Object.keys(data.periodData).sort(), ['2025-01-01', '2025-02-01']);
+  assert.deepEqual(plain(data.periodData['2025-01-01'].branded),
+    { impressions: 150, clicks: 15, cost: 15, conversions: 3, conversionsValue: 50 });
+  assert.deepEqual(plain(data.periodData['2025-01-01'].nonBranded),
+    { impressions: 200, clicks: 8, cost: 20, conversions: 1, conversionsValue: 30 });
+  assert.equal(data.periodData['2025-02-01'].branded.impressions, 0);
+  assert.equal(data.totals.nonBranded.cost, 50);
+  assert.equal(data.periodData['2025-01-01'].groups['Core brand'].clicks, 15);
+});
+
+test('processSearchTermView queries the channel, date range and month segment', function () {
+  const h = fetchHarness([]);
+  h.context.processSearchTermView('SHOPPING', RANGE);
+  const query = h.queries[h.queries.length - 1];
+  assert.match(query, /FROM search_term_view/);
+  assert.match(query, /advertising_channel_type = 'SHOPPING'/);
+  assert.match(query, /segments\.date BETWEEN '2025-01-01' AND '2025-02-28'/);
+  assert.match(query, /segments\.month/);
+});
+
+test('Pmax terms with an excluded targeting status are skipped', function () {
+  const h = fetchHarness([{
+    from: 'campaign_search_term_view',
+    rows: [
+      pmaxTermRow('foodsisters', '2025-01-01', { impressions: 40, cost: 4 }, 'NONE'),
+      pmaxTermRow('foodsisters near me', '2025-01-01', { impressions: 60, cost: 6 }, 'EXCLUDED'),
+      pmaxTermRow('foodsisters online', '2025-01-01', { impressions: 70, cost: 7 }, 'ADDED_EXCLUDED'),
+      pmaxTermRow('cake shop', '2025-01-01', { impressions: 80, cost: 8 }, 'ADDED')
+    ]
+  }]);
+  const data = h.context.processCampaignSearchTermView(RANGE);
+  const january = data.periodData['2025-01-01'];
+  assert.equal(january.branded.impressions, 40);
+  assert.equal(january.nonBranded.impressions, 80);
+  assert.equal(data.totals.branded.cost + data.totals.nonBranded.cost, 12);
+});
+
+test('Pmax Treat All As Non-Branded moves branded Pmax terms to non-branded', function () {
+  const h = fetchHarness([{
+    from: 'campaign_search_term_view',
+    rows: [pmaxTermRow('foodsisters', '2025-01-01', { impressions: 40 }), pmaxTermRow('cake shop', '2025-01-01', { impressions: 80 })]
+  }], { pmaxTreatAllAsNonBranded: true });
+  const january = h.context.processCampaignSearchTermView(RANGE).periodData['2025-01-01'];
+  assert.equal(january.branded.impressions, 0);
+  assert.equal(january.nonBranded.impressions, 120);
+});
+
+test('mergePeriodData adds matching periods and copies new ones', function () {
+  const h = fetchHarness([]);
+  const c = h.context;
+  const target = {};
+  const first = { '2025-01-01': c.emptyPeriodData(h.config) };
+  first['2025-01-01'].branded.clicks = 3;
+  first['2025-01-01'].groups['Core brand'].clicks = 3;
+  const second = { '2025-01-01': c.emptyPeriodData(h.config), '2025-02-01': c.emptyPeriodData(h.config) };
+  second['2025-01-01'].branded.clicks = 4;
+  second['2025-01-01'].nonBranded.cost = 9;
+  second['2025-02-01'].nonBranded.impressions = 7;
+
+  c.mergePeriodData(h.config, target, first);
+  c.mergePeriodData(h.config, target, second);
+
+  assert.deepEqual(Object.keys(target).sort(), ['2025-01-01', '2025-02-01']);
+  assert.equal(target['2025-01-01'].branded.clicks, 7);
+  assert.equal(target['2025-01-01'].groups['Core brand'].clicks, 3);
+  assert.equal(target['2025-01-01'].nonBranded.cost, 9);
+  assert.equal(target['2025-02-01'].nonBranded.impressions, 7);
+  // Sources are left untouched
+  assert.equal(first['2025-01-01'].branded.clicks, 3);
+});
+
+test('Pmax Categories use the same campaign filters as the other channels', function () {
+  const h = fetchHarness([{
+    from: 'campaign',
+    rows: [
+      { campaign: { id: '2', name: 'PMax - All', status: 'ENABLED' } },
+      { campaign: { id: '3', name: 'PMax - Old', status: 'REMOVED' } },
+      { campaign: { id: '4', name: 'PMax - Test', status: 'PAUSED' } }
+    ]
+  }], { campaignStatuses: ['ENABLED', 'REMOVED'] });
+  h.context.processCampaignSearchTermInsight(RANGE);
+
+  const campaignQuery = h.queries.filter(function (query) { return /PERFORMANCE_MAX/.test(query); })[0];
+  assert.match(campaignQuery, /AND campaign\.id IN \(2, 3\)/);
+  // A REMOVED status filter reaches Pmax Categories too, with no status condition of its own
+  assert.doesNotMatch(campaignQuery, /campaign\.status/);
+});
+
+test('Display campaigns add up to the Raw tab, including spend the keywords do not cover', function () {
+  function keywordRow(text, campaign, cost) {
+    return { adGroupCriterion: { keyword: { text: text } }, campaign: campaign, segments: { month: '2025-01-01' }, metrics: { costMicros: String(cost * 1000000) } };
+  }
+  function spendRow(campaign, cost) {
+    return { campaign: campaign, segments: { month: '2025-01-01' }, metrics: { costMicros: String(cost * 1000000) } };
+  }
+  const brand = { id: '5', name: 'Display - Brand' };
+  const prospecting = { id: '6', name: 'Display - Prospecting' };
+  const h = createHarness({
+    configTab: [['Start Date', '2025-01-01'], ['End Date', '2025-01-31'], ['Channels', 'Display'], ['Include By Campaign', 'yes'],
+      ['Brand Group: Core brand', 'foodsisters']],
+    fixtures: [
+      { from: 'keyword_view', rows: [keywordRow('foodsisters', brand, 10), keywordRow('cakes', prospecting, 5)] },
+      { from: 'campaign', rows: [spendRow(brand, 30), spendRow(prospecting, 5)] }
+    ]
+  });
+  h.context.main();
+  const ss = h.report();
+
+  const costs = function (rows, segmentColumn) {
+    const bySegment = {};
+    rows.slice(1).forEach(function (row) {
+      bySegment[row[segmentColumn]] = (bySegment[row[segmentColumn]] || 0) + row[segmentColumn + 3];
+    });
+    return bySegment;
+  };
+  const raw = costs(ss.getSheetByName('Raw - Display').values(), 1);
+  assert.deepEqual(raw, { 'Branded': 10, 'Non-branded': 5, 'Unclassifiable': 20 });
+  assert.deepEqual(costs(ss.getSheetByName('Raw - By Campaign').values(), 4), raw);
+});
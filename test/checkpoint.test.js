@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createHarness, searchTermRow } = require('./harness');
+
+// Reads the JSON state saved for one account on the hidden Checkpoint tab
+function savedState(ss, accountId) {
+  const parts = ss.getSheetByName('Checkpoint').values().filter(function (row) { return row[0] === accountId; });
+  return JSON.parse(parts.map(function (row) { return row[2]; }).join(''));
+}
+
+test('comparison and reconciliation fetches are saved as checkpoint units', function () {
+  let clock = function () { return 1800; };
+  const h = createHarness({
+    account: { remainingSeconds: function () { return clock(); } },
+    configTab: [['Start Date', '2025-02-01'], ['End Date', '2025-02-28'], ['Channels', 'Search'],
+      ['Brand Group: Core brand', 'foodsisters'], ['Checkpoint Enabled', 'yes'], ['Compare Previous Period', 'yes'],
+      ['Include Reconciliation', 'yes']],
+    fixtures: [
+      { from: 'search_term_view', rows: [searchTermRow('foodsisters', '2025-02-01', { impressions: 10, cost: 1 })] },
+      { from: 'campaign', rows: [{ campaign: { id: '1', name: 'Search - Generic' }, segments: { month: '2025-02-01' }, metrics: { costMicros: '4000000' } }] }
+    ]
+  });
+
+  // Time runs out once the previous period has been fetched, before the reconciliation cost query
+  clock = function () {
+    return h.queries.some(function (query) { return /2025-01-04/.test(query); }) ? 0 : 1800;
+  };
+  h.context.main();
+  const ss = h.report();
+  assert.match(h.logs[h.logs.length - 1], /^Script paused: Out of time/);
+  assert.equal(ss.getSheetByName('Raw - Combined'), null);
+  const state = savedState(ss, '123-456-7890');
+  assert.deepEqual(Object.keys(state.comparisons.previous), ['Search']);
+  assert.deepEqual(state.reconciliation, {});
+
+  clock = function () { return 1800; };
+  const firstRunQueries = h.queries.length;
+  h.context.main();
+  const resumed = h.queries.slice(firstRunQueries);
+  assert.equal(resumed.filter(function (query) { return /FROM search_term_view/.test(query); }).length, 0);
+  assert.equal(resumed.filter(function (query) { return /FROM campaign\n/.test(query); }).length, 1);
+  assert.equal(h.logs[h.logs.length - 1], 'Script completed successfully.');
+  assert.ok(ss.getSheetByName('Comparison'));
+  assert.equal(ss.getSheetByName('Reconciliation').values()[1][3], 4);
+  assert.equal(ss.getSheetByName('Checkpoint').getLastRow(), 0);
+});
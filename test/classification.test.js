@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createHarness } = require('./harness');
+
+function brandHarness(overrides) {
+  return createHarness().useConfig(Object.assign({
+    brandGroups: [{
+      name: 'Core brand',
+      tokens: ['foodsisters', { text: 'food sisters', match: 'exact' }, { text: '^food ?sis\\b', match: 'regex' }],
+      exclusions: []
+    }]
+  }, overrides));
+}
+
+test('isBranded matches phrase tokens anywhere in the term', function () {
+  const { context, classifier } = brandHarness();
+  assert.equal(context.isBranded(classifier, 'foodsisters cake delivery'), true);
+  assert.equal(context.isBranded(classifier, 'order from FoodSisters'), true);
+  assert.equal(context.isBranded(classifier, 'cake delivery london'), false);
+});
+
+test('isBranded matches exact tokens only on the whole term', function () {
+  const { context, classifier } = brandHarness();
+  assert.equal(context.isBranded(classifier, 'food sisters'), true);
+  assert.equal(context.isBranded(classifier, 'food sisters menu'), false);
+});
+
+test('isBranded matches regex tokens case-insensitively', function () {
+  const { context, classifier } = brandHarness();
+  assert.equal(context.isBranded(classifier, 'Food Sis opening hours'), true);
+  assert.equal(context.isBranded(classifier, 'foodsister'), false);
+});
+
+test('isBranded ignores accents, and tolerates typos only with fuzzy matching on', function () {
+  const strict = brandHarness();
+  assert.equal(strict.context.isBranded(strict.classifier, 'foodsistérs near me'), true);
+  assert.equal(strict.context.isBranded(strict.classifier, 'foodsistres'), false);
+  const { context, classifier } = brandHarness({ fuzzyMatching: true });
+  assert.equal(context.isBranded(classifier, 'foodsistres'), true);
+  assert.equal(context.isBranded(classifier, 'food delivery'), false);
+});
+
+test('brand exclusions win over brand tokens', function () {
+  const { context, classifier } = brandHarness({
+    brandGroups: [{ name: 'Core brand', tokens: ['foodsisters'], exclusions: ['foodsisters recipe'] }]
+  });
+  assert.equal(context.isBranded(classifier, 'foodsisters cake'), true);
+  assert.equal(context.isBranded(classifier, 'foodsisters recipe ideas'), false);
+});
+
+test('brand whole word stops tokens matching inside longer words', function () {
+  const { context, classifier } = brandHarness({
+    brandGroups: [{ name: 'Core brand', tokens: ['sisters'], exclusions: [] }],
+    brandWholeWord: true
+  });
+  assert.equal(context.isBranded(classifier, 'sisters bakery'), true);
+  assert.equal(context.isBranded(classifier, 'foodsisters bakery'), false);
+});
+
+test('classifyTerm sorts terms into branded, competitor and non-branded', function () {
+  const { context, classifier } = brandHarness({ competitorTokens: ['rivalbakery'] });
+  assert.equal(context.classifyTerm(classifier, 'foodsisters cake', false).segment, 'branded');
+  assert.equal(context.classifyTerm(classifier, 'rivalbakery cakes', false).segment, 'competitor');
+  assert.equal(context.classifyTerm(classifier, 'birthday cake', false).segment, 'nonBranded');
+  // Brand wins over competitor by default
+  assert.equal(context.classifyTerm(classifier, 'foodsisters vs rivalbakery', false).segment, 'branded');
+});
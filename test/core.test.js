@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+// Plain require with no Google Ads or Sheets globals: only the core API is reachable
+const core = require('../brand_vs_nonbrand_analysis.js');
+
+const RANGE = { start: '2025-01-01', end: '2025-02-28' };
+
+function coreConfig(overrides) {
+  return core.buildConfig(Object.assign({
+    brandGroups: [{ name: 'Core brand', tokens: ['foodsisters'], exclusions: [] }]
+  }, overrides));
+}
+
+function termRow(text, periodKey, metrics) {
+  return { text: text, campaign: { id: '1', name: 'Search - Generic' }, periodKey: periodKey, metrics: core.reportRowMetrics(metrics) };
+}
+
+test('buildConfig applies overrides to the defaults and rejects invalid settings', function () {
+  const config = coreConfig({ timeGranularity: 'week' });
+  assert.equal(config.timeGranularity, 'week');
+  assert.equal(config.brandGroups[0].name, 'Core brand');
+  assert.throws(function () { coreConfig({ timeGranularity: 'fortnight', channels: [] }); },
+    /2 error\(s\):\n {2}Time Granularity must be one of: day, week, month, quarter\n {2}At least one channel is required/);
+});
+
+test('classifiers only see the config they were built from', function () {
+  const plain = core.buildClassifier(coreConfig());
+  const withCompetitor = core.buildClassifier(coreConfig({ competitorTokens: ['rivalbakery'] }));
+  assert.equal(core.classifyTerm(plain, 'rivalbakery cakes', false).segment, 'nonBranded');
+  assert.equal(core.classifyTerm(withCompetitor, 'rivalbakery cakes', false).segment, 'competitor');
+  assert.equal(core.classifyTerm(withCompetitor, 'foodsisters cakes', true).segment, 'nonBranded');
+});
+
+test('aggregateTermRows turns exported rows into Raw and ratio rows', function () {
+  const config = coreConfig({ includeByCampaign: true });
+  const data = core.aggregateTermRows(core.buildClassifier(config), [
+    termRow('foodsisters', '2025-01-01', { impressions: '30', clicks: '3', costMicros: '1500000' }),
+    termRow('cake shop', '2025-01-01', { impressions: '90', clicks: '1', costMicros: '500000' }),
+    termRow('cake shop', '2025-02-01', { impressions: '40' })
+  ], false);
+
+  assert.equal(data.totals.branded.cost, 1.5);
+  assert.equal(data.campaigns['1'].totals.nonBranded.impressions, 130);
+  assert.deepEqual(core.buildRawTabRows(config, data.periodData, RANGE).slice(1).map(function (row) { return row.slice(0, 5); }), [
+    ['Jan 2025', 'Branded', 30, 3, 1.5],
+    ['Jan 2025', 'Non-branded', 90, 1, 0.5],
+    ['Feb 2025', 'Branded', 0, 0, 0],
+    ['Feb 2025', 'Non-branded', 40, 0, 0]
+  ]);
+  assert.deepEqual(core.buildBrandedRatioRows(config, data.periodData, 'impressions', false), [['Jan 2025', 0.25], ['Feb 2025', 0]]);
+});
+
+test('aggregateTermRows keeps term and campaign totals only for the tabs that read them', function () {
+  const rows = [termRow('foodsisters', '2025-01-01', { impressions: '30' }), termRow('cake shop', '2025-01-01', { impressions: '90' })];
+  const plainData = core.aggregateTermRows(core.buildClassifier(coreConfig()), rows, false);
+  assert.deepEqual(plainData.terms, {});
+  assert.deepEqual(plainData.campaigns, {});
+  assert.equal(plainData.totals.nonBranded.impressions, 90);
+
+  const ngrams = core.aggregateTermRows(core.buildClassifier(coreConfig({ includeNgrams: true })), rows, false);
+  assert.deepEqual(Object.keys(ngrams.terms), ['foodsisters', 'cake shop']);
+  assert.deepEqual(ngrams.campaigns, {});
+  const negatives = core.aggregateTermRows(core.buildClassifier(coreConfig({ includeSuggestedNegatives: true })), rows, false);
+  assert.deepEqual(negatives.terms, {});
+  assert.deepEqual(Object.keys(negatives.campaigns['1'].terms), ['foodsisters', 'cake shop']);
+});
+
+test('campaign filter, N-gram and history helpers use only the config and labels they are given', function () {
+  const config = coreConfig({ channels: ['Search'], includeNgrams: true, ngramMinImpressions: 100, campaignIncludeLabels: ['Generic'] });
+  assert.equal(core.campaignPassesFilters(config, { '1': ['Generic'] }, { id: '1', name: 'Search - Generic' }), true);
+  assert.equal(core.campaignPassesFilters(config, {}, { id: '1', name: 'Search - Generic' }), false);
+
+  const data = core.aggregateTermRows(core.buildClassifier(config), [
+    termRow('cake shop', '2025-01-01', { impressions: '90' }),
+    termRow('cake delivery', '2025-02-01', { impressions: '40' })
+  ], false);
+  assert.deepEqual(core.buildNgramRows(config, { Search: data }).slice(1), [[1, 'cake', 2, 130, 0, 0, 0, 0, 0, 0]]);
+
+  const historyRows = core.buildHistoryRows(config, '123-456-7890', { combined: data, channels: { Search: data } }, RANGE, 'now');
+  const history = core.buildHistoryPeriodData(config, historyRows, '123-456-7890', RANGE);
+  assert.deepEqual(history.range, RANGE);
+  assert.equal(history.periodData.Search['2025-02-01'].nonBranded.impressions, 40);
+  assert.equal(history.periodData.Combined['2025-01-01'].nonBranded.impressions, 90);
+});
+
+test('period helpers follow the configured granularity', function () {
+  const quarter = coreConfig({ timeGranularity: 'quarter' });
+  assert.equal(core.periodStartDate(quarter, '2025-05-17'), '2025-04-01');
+  assert.equal(core.formatPeriodLabel(quarter, '2025-04-01'), 'Q2 2025');
+  const week = coreConfig({ timeGranularity: 'week', weekStartDay: 'sunday' });
+  assert.equal(core.periodStartDate(week, '2025-01-08'), '2025-01-05');
+  assert.equal(core.formatPeriodLabel(week, '2025-01-05'), 'w/c 2025-01-05');
+  assert.equal(core.formatPeriodLabel(coreConfig(), '2025-12-01'), 'Dec 2025');
+  assert.equal(core.isPartialPeriod(coreConfig(), '2025-02-01', { start: '2025-01-01', end: '2025-02-20' }), true);
+});
+
+test('excluded Pmax targeting statuses are recognised', function () {
+  assert.equal(core.isExcludedTargetingStatus('EXCLUDED'), true);
+  assert.equal(core.isExcludedTargetingStatus('added_excluded'), true);
+  assert.equal(core.isExcludedTargetingStatus('ADDED'), false);
+  assert.equal(core.isExcludedTargetingStatus(undefined), false);
+});
+
+test('buildTopTermsRows ranks terms using only the config it is given', function () {
+  const config = coreConfig({ includeTopTerms: true, topTermsCount: 1 });
+  const classifier = core.buildClassifier(config);
+  const current = core.aggregateTermRows(classifier, [
+    termRow('foodsisters', '2025-02-01', { impressions: '50', costMicros: '3000000' }),
+    termRow('cake shop', '2025-02-01', { impressions: '80', costMicros: '1000000' }),
+    termRow('bakery near me', '2025-02-01', { impressions: '20', costMicros: '2000000' })
+  ], false);
+  const previous = core.aggregateTermRows(classifier, [termRow('bakery near me', '2025-01-01', { costMicros: '1000000' })], false);
+  const rows = core.buildTopTermsRows(config, { channels: { Search: current }, previousPeriod: { data: { channels: { Search: previous } } } }, 'Search');
+
+  assert.deepEqual(rows.slice(1).map(function (row) { return [row[0], row[1], row[3], row[13], row[15]]; }), [
+    ['Branded', 'Cost', 'foodsisters', 0, ''],
+    ['Branded', 'Impressions', 'foodsisters', 0, ''],
+    ['Non-branded', 'Cost', 'bakery near me', 1, 1],
+    ['Non-branded', 'Impressions', 'cake shop', 0, '']
+  ]);
+});
+
+test('threshold alerts need a known check with at least one bound', function () {
+  assert.throws(function () { coreConfig({ alertThresholds: { brandedClicks: { max: 5 } } }); },
+    /Alert thresholds have no check named "brandedClicks"/);
+  assert.throws(function () {
+    coreConfig({ alertsEnabled: true, alertRecipients: ['ppc@example.com'], alertMethod: 'threshold', alertThresholds: { brandedCost: {} } });
+  }, /Alert Method 'threshold' needs at least one threshold row \(e\.g\. Alert Branded Share Max\)/);
+  assert.throws(function () { coreConfig({ alertThresholds: { brandedCpa: { min: -1 } } }); }, /Alert Branded CPA Min must be a number >= 0/);
+});
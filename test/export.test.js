@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../brand_vs_nonbrand_analysis.js');
+const { createHarness, searchTermRow, pmaxTermRow, plain } = require('./harness');
+
+const ACCOUNT = { id: '123-456-7890', name: 'Food, Sisters' };
+
+function exportConfig(overrides) {
+  return core.buildConfig(Object.assign({
+    brandGroups: [{ name: 'Core brand', tokens: ['foodsisters'], exclusions: [] }],
+    channels: ['Search'],
+    startDate: '2025-01-15',
+    endDate: '2025-02-28'
+  }, overrides));
+}
+
+function exportResult(config) {
+  const jan = core.emptyPeriodData(config);
+  Object.assign(jan.branded, { impressions: 100, clicks: 10, cost: 20, conversions: 4, conversionsValue: 80 });
+  Object.assign(jan.nonBranded, { impressions: 300, clicks: 30, cost: 60 });
+  const periodData = { '2025-01-01': jan };
+  return {
+    dateRange: { start: '2025-01-15', end: '2025-02-28' },
+    combined: { periodData: periodData },
+    channels: { Search: { periodData: periodData } },
+    pmaxCategoriesData: null
+  };
+}
+
+test('buildExportRows writes one row per channel, period, segment and metric', function () {
+  const config = exportConfig();
+  const rows = core.buildExportRows(config, exportResult(config), ACCOUNT, '2025-03-01 06:00:00 UTC');
+  // Combined and Search, 2 segments, 5 metrics
+  assert.equal(rows.length, 20);
+  assert.deepEqual(rows[2], ['123-456-7890', 'Food, Sisters', 'Combined', '2025-01-01', '2025-01-31', 17, 'Branded', 'cost', 20,
+    '2025-03-01 06:00:00 UTC']);
+  assert.deepEqual(rows[19].slice(2, 9), ['Search', '2025-01-01', '2025-01-31', 17, 'Non-branded', 'conversion_value', 0]);
+});
+
+test('buildExportRows adds Pmax Categories with a Blank segment and no cost', function () {
+  const config = exportConfig({ timeGranularity: 'quarter' });
+  const result = exportResult(config);
+  const categories = core.emptyPeriodData(config);
+  categories.blank = { impressions: 7, clicks: 1, cost: 0, conversions: 0, conversionsValue: 0 };
+  result.pmaxCategoriesData = { periodData: { '2025-01-01': categories } };
+  const rows = core.buildExportRows(config, result, ACCOUNT, 'now').filter(function (row) { return row[2] === 'Pmax Categories'; });
+  assert.deepEqual(rows.map(function (row) { return row[6] + ' ' + row[7]; }).slice(-4),
+    ['Blank impressions', 'Blank clicks', 'Blank conversions', 'Blank conversion_value']);
+  assert.equal(rows[0][4], '2025-03-31');
+  assert.equal(rows.length, 12);
+});
+
+test('formatExportCsv writes the column names and quotes text with commas', function () {
+  const csv = core.formatExportCsv([['1', 'Food, Sisters', 'Combined', '2025-01-01', '2025-01-31', 31, 'Branded', 'clicks', 3, 'now']]);
+  assert.equal(csv, 'account_id,account_name,channel,period_start,period_end,days_in_period,segment,metric,value,run_timestamp\n' +
+    '1,"Food, Sisters",Combined,2025-01-01,2025-01-31,31,Branded,clicks,3,now\n');
+});
+
+test('export settings need a destination', function () {
+  assert.throws(function () { exportConfig({ exportCsv: true }); }, /Export CSV needs an Export Folder/);
+  assert.throws(function () { exportConfig({ exportBigQuery: true, bigQueryProjectId: 'bi' }); },
+    /Export BigQuery needs a BigQuery Project ID, BigQuery Dataset ID and BigQuery Table ID/);
+  assert.throws(function () { exportConfig({ bigQueryTableId: 'brand-share' }); }, /BigQuery Table ID may only contain/);
+});
+
+const EXPORT_TAB = [
+  ['Start Date', '2025-01-01'], ['End Date', '2025-02-28'], ['Channels', 'Search, Pmax'], ['Include Pmax Categories', 'no'],
+  ['Brand Group: Core brand', 'foodsisters'], ['Export CSV', 'yes'],
+  ['Export Folder', 'https://drive.google.com/drive/folders/folder_123?usp=sharing'], ['Export BigQuery', 'yes'],
+  ['BigQuery Project ID', 'bi-project'], ['BigQuery Dataset ID', 'google_ads']
+];
+
+function exportHarness(bigQueryTables) {
+  return createHarness({
+    configTab: EXPORT_TAB,
+    bigQueryTables: bigQueryTables,
+    fixtures: [
+      { from: 'search_term_view', rows: [searchTermRow('foodsisters', '2025-01-01', { impressions: 10, cost: 1 })] },
+      { from: 'campaign_search_term_view', rows: [pmaxTermRow('cake shop', '2025-02-01', { impressions: 20, cost: 2 })] }
+    ]
+  });
+}
+
+test('main writes the CSV to Drive and appends it to a new BigQuery table', function () {
+  const h = exportHarness();
+  h.context.main();
+
+  assert.equal(h.files.length, 1);
+  assert.equal(h.files[0].folderId, 'folder_123');
+  assert.equal(h.files[0].mimeType, 'text/csv');
+  assert.match(h.files[0].name, /^brand_vs_nonbrand_1234567890_\d{8}-\d{6}\.csv$/);
+  const lines = h.files[0].content.trim().split('\n');
+  // 2 segments x 5 metrics for each period: Combined has Jan and Feb, Search only Jan, Pmax only Feb
+  assert.equal(lines.length, 1 + 40);
+  assert.match(lines[1], /^123-456-7890,Test Account,Combined,2025-01-01,2025-01-31,31,Branded,impressions,10,\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2} UTC$/);
+
+  const table = h.bigQuery.tables['bi-project.google_ads.brand_vs_nonbrand'];
+  assert.deepEqual(plain(table.schema.fields.map(function (field) { return field.name; })), core.EXPORT_COLUMNS.map(function (column) { return column.name; }));
+  assert.deepEqual(table.rows, lines.slice(1));
+  assert.equal(h.bigQuery.jobs[0].configuration.load.writeDisposition, 'WRITE_APPEND');
+  assert.equal(h.logs[h.logs.length - 1], 'Script completed successfully.');
+});
+
+test('main stops when the BigQuery table has a different schema', function () {
+  const h = exportHarness({
+    'bi-project.google_ads.brand_vs_nonbrand': { schema: { fields: [{ name: 'account_id', type: 'STRING' }] }, rows: [] }
+  });
+  assert.throws(function () { h.context.main(); }, /has columns \(account_id STRING\), expected \(account_id STRING, account_name STRING/);
+  assert.equal(h.bigQuery.jobs.length, 0);
+});
@@ -0,0 +1,430 @@
+// Offline harness: loads brand_vs_nonbrand_analysis.js into a Node vm context with in-memory stand-ins for the
+// Google Ads Scripts globals (AdsApp, SpreadsheetApp, Charts, Utilities, MailApp, DriveApp, BigQuery, Logger), so classification
+// and aggregation logic can be tested without a live account or sheet.
+//
+// Run every test with: node --test test/*.test.js
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SCRIPT_PATH = path.join(__dirname, '..', 'brand_vs_nonbrand_analysis.js');
+
+// ===== UTILITIES =====
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Utilities.formatDate for the patterns the script uses (yyyy, MMM, MM, dd, HH, mm, ss) in the given time zone
+function formatDate(date, timeZone, pattern) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-GB', {
+    timeZone: timeZone,
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit', hourCycle: 'h23'
+  }).formatToParts(date).forEach(function (part) { parts[part.type] = part.value; });
+  const tokens = {
+    yyyy: parts.year,
+    MMM: MONTH_NAMES[Number(parts.month) - 1],
+    MM: parts.month,
+    dd: parts.day,
+    HH: parts.hour,
+    mm: parts.minute,
+    ss: parts.second
+  };
+  return pattern.replace(/yyyy|MMM|MM|dd|HH|mm|ss/g, function (token) { return tokens[token]; });
+}
+
+// ===== SPREADSHEETAPP =====
+function createChartBuilder() {
+  const chart = { type: null, ranges: [], position: null, options: {} };
+  const builder = {
+    setChartType: function (type) { chart.type = type; return builder; },
+    addRange: function (range) { chart.ranges.push(range); return builder; },
+    setPosition: function (row, column) { chart.position = { row: row, column: column }; return builder; },
+    setOption: function (key, value) { chart.options[key] = value; return builder; },
+    build: function () { return chart; }
+  };
+  return builder;
+}
+
+// Sheet with cells stored by "row,column"; only the methods the script calls
+function createSheet(name) {
+  const cells = {};
+  const sheet = {
+    name: name,
+    hidden: false,
+    charts: [],
+    getName: function () { return name; },
+    clear: function () {
+      Object.keys(cells).forEach(function (key) { delete cells[key]; });
+      sheet.charts = [];
+      return sheet;
+    },
+    hideSheet: function () { sheet.hidden = true; return sheet; },
+    getLastRow: function () {
+      return Object.keys(cells).reduce(function (max, key) { return Math.max(max, Number(key.split(',')[0])); }, 0);
+    },
+    getLastColumn: function () {
+      return Object.keys(cells).reduce(function (max, key) { return Math.max(max, Number(key.split(',')[1])); }, 0);
+    },
+    getRange: function (row, column, numRows, numColumns) {
+      const rows = numRows || 1;
+      const columns = numColumns || 1;
+      const range = {
+        row: row,
+        column: column,
+        numRows: rows,
+        numColumns: columns,
+        setValues: function (values) {
+          if (values.length !== rows || values.some(function (r) { return r.length !== columns; })) {
+            throw new Error('The number of rows or columns in the data does not match the range (' + name + ')');
+          }
+          values.forEach(function (r, i) {
+            r.forEach(function (value, j) { cells[(row + i) + ',' + (column + j)] = value; });
+          });
+          return range;
+        },
+        setValue: function (value) { cells[row + ',' + column] = value; return range; },
+        getValues: function () {
+          const values = [];
+          for (let i = 0; i < rows; i++) {
+            const r = [];
+            for (let j = 0; j < columns; j++) {
+              const value = cells[(row + i) + ',' + (column + j)];
+              r.push(value === undefined ? '' : value);
+            }
+            values.push(r);
+          }
+          return values;
+        },
+        clearContent: function () {
+          for (let i = 0; i < rows; i++) {
+            for (let j = 0; j < columns; j++) delete cells[(row + i) + ',' + (column + j)];
+          }
+          return range;
+        },
+        setNumberFormat: function () { return range; },
+        setFontWeight: function () { return range; }
+      };
+      return range;
+    },
+    newChart: createChartBuilder,
+    insertChart: function (chart) { sheet.charts.push(chart); },
+    getCharts: function () { return sheet.charts.slice(); },
+    removeChart: function (chart) { sheet.charts = sheet.charts.filter(function (c) { return c !== chart; }); },
+    // Test helper: every written row from row 1 to the last, '' for empty cells
+    values: function () {
+      if (sheet.getLastRow() === 0) return [];
+      return sheet.getRange(1, 1, sheet.getLastRow(), sheet.getLastColumn()).getValues();
+    }
+  };
+  return sheet;
+}
+
+function createSpreadsheet(id) {
+  const sheets = [];
+  let active = null;
+  const ss = {
+    id: id,
+    sheets: sheets,
+    getId: function () { return id; },
+    getUrl: function () { return 'https://docs.google.com/spreadsheets/d/' + id + '/edit'; },
+    getSheetByName: function (name) {
+      return sheets.filter(function (sheet) { return sheet.name === name; })[0] || null;
+    },
+    insertSheet: function (name) {
+      if (ss.getSheetByName(name)) throw new Error('A sheet with the name "' + name + '" already exists');
+      const sheet = createSheet(name);
+      sheets.push(sheet);
+      return sheet;
+    },
+    getSheets: function () { return sheets.slice(); },
+    setActiveSheet: function (sheet) { active = sheet; return sheet; },
+    moveActiveSheet: function (position) {
+      sheets.splice(sheets.indexOf(active), 1);
+      sheets.splice(position - 1, 0, active);
+    },
+    // Test helper: tab names in order
+    sheetNames: function () { return sheets.map(function (sheet) { return sheet.name; }); }
+  };
+  return ss;
+}
+
+// ===== ADSAPP =====
+// fixtures: [{ from: 'search_term_view', match: /SHOPPING/ (optional), rows: [...] }]. A query gets the rows of
+// every fixture whose resource matches its FROM clause and whose match (regex or function) accepts the query.
+function createAdsApp(fixtures, account, queries) {
+  function rowsFor(query) {
+    const from = (query.match(/\bFROM\s+(\w+)/) || [])[1];
+    let rows = [];
+    fixtures.forEach(function (fixture) {
+      if (fixture.from !== from) return;
+      if (fixture.match instanceof RegExp && !fixture.match.test(query)) return;
+      if (typeof fixture.match === 'function' && !fixture.match(query)) return;
+      rows = rows.concat(fixture.rows);
+    });
+    return rows;
+  }
+
+  return {
+    search: function (query) {
+      queries.push(query);
+      const rows = rowsFor(query);
+      let index = 0;
+      return {
+        hasNext: function () { return index < rows.length; },
+        next: function () { return rows[index++]; },
+        totalNumEntities: function () { return rows.length; }
+      };
+    },
+    currentAccount: function () {
+      return {
+        getName: function () { return account.name; },
+        getCustomerId: function () { return account.customerId; },
+        getCurrencyCode: function () { return account.currency; },
+        getTimeZone: function () { return account.timeZone; }
+      };
+    },
+    getExecutionInfo: function () {
+      return {
+        getRemainingTime: function () {
+          return typeof account.remainingSeconds === 'function' ? account.remainingSeconds() : account.remainingSeconds;
+        },
+        isPreview: function () { return false; }
+      };
+    },
+    negativeKeywordLists: function () {
+      const selector = {
+        withCondition: function () { return selector; },
+        get: function () { return { hasNext: function () { return false; } }; }
+      };
+      return selector;
+    }
+  };
+}
+
+// ===== CHARTS =====
+// Standalone charts (Charts.newLineChart) render to a blob holding the chart's data rows and options
+function createChartsService() {
+  function createDataTable() {
+    const table = { columns: [], rows: [] };
+    const builder = {
+      addColumn: function (type, label) { table.columns.push(label); return builder; },
+      addRow: function (row) { table.rows.push(row); return builder; },
+      build: function () { return table; }
+    };
+    return builder;
+  }
+
+  function createLineChart() {
+    const chart = { dataTable: null, options: {} };
+    const builder = {
+      setDataTable: function (dataTable) { chart.dataTable = dataTable; return builder; },
+      setDimensions: function (width, height) { chart.width = width; chart.height = height; return builder; },
+      setColors: function (colors) { chart.colors = colors; return builder; },
+      setLegendPosition: function (position) { chart.legend = position; return builder; },
+      setOption: function (key, value) { chart.options[key] = value; return builder; },
+      build: function () {
+        return {
+          getAs: function (contentType) {
+            const blob = { contentType: contentType, chart: chart };
+            blob.setName = function (name) { blob.name = name; return blob; };
+            return blob;
+          }
+        };
+      }
+    };
+    return builder;
+  }
+
+  return {
+    ChartType: { AREA: 'AREA', COLUMN: 'COLUMN', LINE: 'LINE' },
+    ColumnType: { NUMBER: 'NUMBER', STRING: 'STRING' },
+    Position: { NONE: 'NONE' },
+    newDataTable: createDataTable,
+    newLineChart: createLineChart
+  };
+}
+
+// ===== DRIVEAPP + BIGQUERY =====
+// Drive folders record the files created in them: files = [{ folderId, name, content, mimeType }]
+function createDriveApp(files) {
+  return {
+    getFolderById: function (folderId) {
+      return {
+        createFile: function (name, content, mimeType) {
+          files.push({ folderId: folderId, name: name, content: content, mimeType: mimeType });
+          return { getName: function () { return name; } };
+        }
+      };
+    }
+  };
+}
+
+// Tables live in bigQuery.tables keyed "project.dataset.table" ({ schema, rows }); load jobs append the CSV
+// data rows and finish at once
+function createBigQuery(bigQuery) {
+  return {
+    Tables: {
+      get: function (projectId, datasetId, tableId) {
+        const table = bigQuery.tables[projectId + '.' + datasetId + '.' + tableId];
+        if (!table) throw new Error('Not found: Table ' + projectId + ':' + datasetId + '.' + tableId);
+        return { schema: table.schema };
+      },
+      insert: function (resource, projectId, datasetId) {
+        bigQuery.tables[projectId + '.' + datasetId + '.' + resource.tableReference.tableId] = { schema: resource.schema, rows: [] };
+        return resource;
+      }
+    },
+    Jobs: {
+      insert: function (job, projectId, blob) {
+        const load = job.configuration.load;
+        const table = bigQuery.tables[projectId + '.' + load.destinationTable.datasetId + '.' + load.destinationTable.tableId];
+        bigQuery.jobs.push(job);
+        table.rows = table.rows.concat(blob.content.split('\n').slice(load.skipLeadingRows).filter(Boolean));
+        return { jobReference: { jobId: 'job-' + bigQuery.jobs.length, location: 'EU' }, status: { state: 'DONE' } };
+      },
+      get: function () {
+        return { status: { state: 'DONE' } };
+      }
+    }
+  };
+}
+
+// ===== FIXTURE ROWS =====
+// Report rows shaped like AdsApp.search results. period is the segment value (yyyy-MM-dd), metrics are the
+// API fields (cost in account currency, converted to micros here).
+function reportMetrics(metrics) {
+  const m = metrics || {};
+  return {
+    impressions: String(m.impressions || 0),
+    clicks: String(m.clicks || 0),
+    costMicros: String(Math.round((m.cost || 0) * 1000000)),
+    conversions: m.conversions || 0,
+    conversionsValue: m.conversionsValue || 0
+  };
+}
+
+function periodSegments(period) {
+  return { date: period, week: period, month: period, quarter: period };
+}
+
+function searchTermRow(term, period, metrics, campaign) {
+  return {
+    searchTermView: { searchTerm: term },
+    campaign: campaign || { id: '1', name: 'Search - Generic' },
+    segments: periodSegments(period),
+    metrics: reportMetrics(metrics)
+  };
+}
+
+function pmaxTermRow(term, period, metrics, targetingStatus, campaign) {
+  const segments = periodSegments(period);
+  segments.searchTermTargetingStatus = targetingStatus || 'NONE';
+  return {
+    campaignSearchTermView: { searchTerm: term },
+    campaign: campaign || { id: '2', name: 'PMax - All' },
+    segments: segments,
+    metrics: reportMetrics(metrics)
+  };
+}
+
+// ===== HARNESS =====
+// Loads the script with the given fixtures. Returns the vm context (script functions are its properties) plus
+// everything the mocks recorded. options: { fixtures, account, configTab: [[name, value], ...], bigQueryTables }.
+// account.remainingSeconds may be a function, called on every getRemainingTime().
+function createHarness(options) {
+  const opts = options || {};
+  const account = Object.assign({
+    name: 'Test Account',
+    customerId: '123-456-7890',
+    currency: 'GBP',
+    timeZone: 'UTC',
+    remainingSeconds: 1800
+  }, opts.account);
+  const spreadsheets = {};
+  const queries = [];
+  const logs = [];
+  const mails = [];
+  const files = [];
+  const bigQuery = { tables: opts.bigQueryTables || {}, jobs: [] };
+
+  function openById(id) {
+    if (!spreadsheets[id]) {
+      spreadsheets[id] = createSpreadsheet(id);
+      if (opts.configTab) {
+        const configSheet = spreadsheets[id].insertSheet('Config');
+        const rows = [['Setting', 'Value']].concat(opts.configTab);
+        configSheet.getRange(1, 1, rows.length, 2).setValues(rows);
+      }
+    }
+    return spreadsheets[id];
+  }
+
+  const context = vm.createContext({
+    console: console,
+    Logger: { log: function (message) { logs.push(String(message)); } },
+    Utilities: {
+      formatDate: formatDate,
+      newBlob: function (content, contentType) { return { content: content, contentType: contentType }; },
+      sleep: function () {}
+    },
+    AdsApp: createAdsApp(opts.fixtures || [], account, queries),
+    SpreadsheetApp: { openById: openById },
+    Charts: createChartsService(),
+    MailApp: {
+      sendEmail: function (message) { mails.push(message); },
+      getRemainingDailyQuota: function () { return 100; }
+    },
+    DriveApp: createDriveApp(files),
+    MimeType: { CSV: 'text/csv' },
+    BigQuery: createBigQuery(bigQuery)
+  });
+  vm.runInContext(fs.readFileSync(SCRIPT_PATH, 'utf8'), context, { filename: SCRIPT_PATH });
+
+  const harness = {
+    context: context,
+    spreadsheets: spreadsheets,
+    queries: queries,
+    logs: logs,
+    mails: mails,
+    files: files,
+    bigQuery: bigQuery,
+    // Runs code inside the script's scope (reaches top-level let/const such as CONFIG)
+    evaluate: function (code) {
+      return vm.runInContext(code, context);
+    },
+    // Sets CONFIG (defaults plus overrides keyed like buildDefaultConfig) and the globals runAnalysis prepares.
+    // harness.config and harness.classifier hold them for the core functions that take them explicitly.
+    useConfig: function (overrides) {
+      context.__testOverrides = overrides || {};
+      harness.evaluate([
+        'CONFIG = loadConfig(SpreadsheetApp.openById("config-test"), __testOverrides);',
+        'CLASSIFIER = buildClassifier(CONFIG);',
+        'CAMPAIGN_LABELS = {};',
+        'CAMPAIGN_FILTER_IDS = resolveCampaignFilter(CONFIG, CAMPAIGN_LABELS);'
+      ].join('\n'));
+      harness.config = harness.evaluate('CONFIG');
+      harness.classifier = harness.evaluate('CLASSIFIER');
+      return harness;
+    },
+    // The single spreadsheet main() wrote to
+    report: function () {
+      const ids = Object.keys(spreadsheets).filter(function (id) { return id !== 'config-test'; });
+      return spreadsheets[ids[0]];
+    }
+  };
+  return harness;
+}
+
+// Values crossing the vm boundary carry the context's Array/Object prototypes; this copies them into plain
+// host values so assert.deepStrictEqual compares contents only
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = {
+  createHarness: createHarness,
+  searchTermRow: searchTermRow,
+  pmaxTermRow: pmaxTermRow,
+  formatDate: formatDate,
+  plain: plain
+};
@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const core = require('../brand_vs_nonbrand_analysis.js');
+const offline = require('../brand_vs_nonbrand_offline.js');
+const { createHarness, searchTermRow, pmaxTermRow, plain } = require('./harness');
+
+const SETTINGS = {
+  brandGroups: [{ name: 'Core brand', tokens: ['foodsisters'], exclusions: [] }],
+  channels: ['Search', 'Pmax'],
+  startDate: '2025-01-01',
+  endDate: '2025-02-28'
+};
+
+// A Google Ads UI style export: report title lines, UI column names, formatted numbers and a total row
+const EXPORT_CSV = [
+  'Search terms report',
+  '"January 1, 2025 - February 28, 2025"',
+  'Search term,Added/Excluded,Campaign,Campaign type,Day,Impr.,Clicks,Cost,Conversions,Conv. value',
+  'foodsisters cakes,None,Brand,Search,2025-01-05,"1,200",100,£50.00,5,250.00',
+  '"cake shop, london",None,Generic,Search,2025-01-20,800,20,40.00,1,30',
+  'foodsisters,Excluded,PMax - All,Performance Max,2025-02-03,500,9,9.00,0,0',
+  'cake delivery,Added,PMax - All,Performance Max,2025-02-03,300,3,6.00,0,0',
+  'Total: Search terms,,,,,"2,800",132,105.00,6,280.00'
+].join('\n');
+
+test('parseCsv handles quoted delimiters, escaped quotes and line breaks', function () {
+  assert.deepEqual(offline.parseCsv('a,"b, c","say ""hi"""\r\n"two\nlines",x\n', ','), [
+    ['a', 'b, c', 'say "hi"'],
+    ['two\nlines', 'x']
+  ]);
+  assert.equal(offline.formatCsv([['Jan 2025', 'a, b', 'say "hi"', 3]]), 'Jan 2025,"a, b","say ""hi""",3\n');
+});
+
+test('readCsvRecords skips title lines and maps UI column names', function () {
+  const records = offline.readCsvRecords(EXPORT_CSV);
+  assert.equal(records.length, 5);
+  assert.deepEqual(records[1], {
+    line: 5, text: 'cake shop, london', status: 'None', campaign: 'Generic', channel: 'Search', date: '2025-01-20',
+    impressions: '800', clicks: '20', cost: '40.00', conversions: '1', conversionsValue: '30'
+  });
+});
+
+test('offline rows give the same Raw tables as the live fetches', function () {
+  const config = core.buildConfig(SETTINGS);
+  const analysis = offline.analyseRecords(config, offline.readCsvRecords(EXPORT_CSV), 'Search');
+  assert.equal(analysis.analysed, 3);
+  assert.deepEqual(analysis.skipped, { excluded: 1, inactive: 0, outOfRange: 0 });
+
+  const h = createHarness({
+    configTab: [['Start Date', '2025-01-01'], ['End Date', '2025-02-28'], ['Channels', 'Search, Pmax'],
+      ['Include Pmax Categories', 'no'], ['Brand Group: Core brand', 'foodsisters']],
+    fixtures: [
+      {
+        from: 'search_term_view',
+        rows: [
+          searchTermRow('foodsisters cakes', '2025-01-01', { impressions: 1200, clicks: 100, cost: 50, conversions: 5, conversionsValue: 250 }),
+          searchTermRow('cake shop, london', '2025-01-01', { impressions: 800, clicks: 20, cost: 40, conversions: 1, conversionsValue: 30 })
+        ]
+      },
+      {
+        from: 'campaign_search_term_view',
+        rows: [
+          pmaxTermRow('foodsisters', '2025-02-01', { impressions: 500, clicks: 9, cost: 9 }, 'EXCLUDED'),
+          pmaxTermRow('cake delivery', '2025-02-01', { impressions: 300, clicks: 3, cost: 6 }, 'ADDED')
+        ]
+      }
+    ]
+  });
+  h.context.main();
+  const report = h.report();
+  assert.deepEqual(analysis.tables.map(function (table) { return table.name; }), ['Raw - Combined', 'Raw - Search', 'Raw - Pmax']);
+  analysis.tables.forEach(function (table) {
+    assert.deepEqual(plain(table.rows), report.getSheetByName(table.name).values(), table.name);
+  });
+});
+
+test('daily input is reported per day with the default Pmax Categories setting', function () {
+  const config = core.buildConfig(Object.assign({}, SETTINGS, { timeGranularity: 'day' }));
+  const analysis = offline.analyseRecords(config, offline.readCsvRecords(EXPORT_CSV), 'Search');
+  const search = analysis.tables.filter(function (table) { return table.name === 'Raw - Search'; })[0];
+  assert.deepEqual(plain(search.rows.slice(1).map(function (row) { return row.slice(0, 3); })).filter(function (row) { return row[2] > 0; }), [
+    ['2025-01-05', 'Branded', 1200],
+    ['2025-01-20', 'Non-branded', 800]
+  ]);
+});
+
+test('Pmax Treat All As Non-Branded and inactive channels apply offline too', function () {
+  const config = core.buildConfig(Object.assign({}, SETTINGS, { channels: ['Pmax'], pmaxTreatAllAsNonBranded: true }));
+  const analysis = offline.analyseRecords(config, offline.readJsonRecords(JSON.stringify({
+    rows: [
+      { 'Search term': 'foodsisters', Channel: 'Pmax', Month: '2025-01', Impressions: 40 },
+      { 'Search term': 'foodsisters', Channel: 'Search', Month: '2025-01', Impressions: 10 }
+    ]
+  })), 'Search');
+  assert.deepEqual(analysis.skipped, { excluded: 0, inactive: 1, outOfRange: 0 });
+  assert.deepEqual(analysis.tables[0].rows.slice(1).map(function (row) { return row.slice(0, 3); }), [
+    ['Jan 2025', 'Branded', 0],
+    ['Jan 2025', 'Non-branded', 40]
+  ]);
+});
+
+test('offline input reports unusable rows and settings', function () {
+  const config = core.buildConfig(SETTINGS);
+  assert.throws(function () {
+    offline.analyseRecords(config, [{ line: 4, text: 'cake', date: '05/01/2025' }], 'Search');
+  }, /Row 4: Date "05\/01\/2025" is not a yyyy-MM-dd date/);
+  assert.throws(function () {
+    offline.analyseRecords(config, [{ line: 2, text: 'cake', date: '2025-01-05', channel: 'Display' }], 'Search');
+  }, /Row 2: Display has no search terms to classify/);
+  assert.throws(function () {
+    offline.analyseRecords(core.buildConfig(Object.assign({}, SETTINGS, { channels: ['Search', 'Demand Gen'] })), [], 'Search');
+  }, /remove Demand Gen from channels/);
+});
+
+test('main writes one CSV per Raw table', function () {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'brand-offline-'));
+  fs.writeFileSync(path.join(dir, 'export.csv'), EXPORT_CSV);
+  fs.writeFileSync(path.join(dir, 'settings.json'), JSON.stringify(SETTINGS));
+  const log = console.log;
+  console.log = function () {};
+  try {
+    offline.main([path.join(dir, 'export.csv'), '--config', path.join(dir, 'settings.json'), '--out', path.join(dir, 'out')]);
+  } finally {
+    console.log = log;
+  }
+  assert.deepEqual(fs.readdirSync(path.join(dir, 'out')).sort(), ['Raw - Combined.csv', 'Raw - Pmax.csv', 'Raw - Search.csv']);
+  assert.equal(fs.readFileSync(path.join(dir, 'out', 'Raw - Pmax.csv'), 'utf8').split('\n')[2],
+    'Feb 2025,Non-branded,300,3,6,0,0,0,0,28,false');
+  fs.rmSync(dir, { recursive: true, force: true });
+});
@@ -0,0 +1,250 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createHarness, searchTermRow, pmaxTermRow, plain } = require('./harness');
+
+const RANGE = { start: '2025-01-15', end: '2025-02-28' };
+
+function reportHarness(overrides) {
+  return createHarness().useConfig(Object.assign({
+    brandGroups: [{ name: 'Core brand', tokens: ['foodsisters'], exclusions: [] }]
+  }, overrides));
+}
+
+function periodData(h) {
+  const c = h.context;
+  const data = { '2025-02-01': c.emptyPeriodData(h.config), '2025-01-01': c.emptyPeriodData(h.config) };
+  Object.assign(data['2025-01-01'].branded, { impressions: 100, clicks: 10, cost: 20, conversions: 4, conversionsValue: 80 });
+  Object.assign(data['2025-01-01'].nonBranded, { impressions: 300, clicks: 30, cost: 60, conversions: 0, conversionsValue: 0 });
+  Object.assign(data['2025-02-01'].branded, { impressions: 50, clicks: 5, cost: 10, conversions: 1, conversionsValue: 15 });
+  Object.assign(data['2025-02-01'].competitor, { impressions: 25, clicks: 5, cost: 10, conversions: 1, conversionsValue: 5 });
+  Object.assign(data['2025-02-01'].nonBranded, { impressions: 25, clicks: 10, cost: 20, conversions: 2, conversionsValue: 30 });
+  return data;
+}
+
+test('buildRawTabRows writes one row per period and segment, oldest first', function () {
+  const h = reportHarness();
+  const c = h.context;
+  const rows = plain(c.buildRawTabRows(h.config, periodData(h), RANGE));
+  assert.deepEqual(rows[0], ['Period', 'Segment', 'Impressions', 'Clicks', 'Cost', 'Conversions', 'Conversion Value',
+    'CPA', 'ROAS', 'Days in Period', 'Partial']);
+  assert.deepEqual(rows.slice(1), [
+    ['Jan 2025', 'Branded', 100, 10, 20, 4, 80, 5, 4, 17, true],
+    ['Jan 2025', 'Non-branded', 300, 30, 60, 0, 0, 0, 0, 17, true],
+    ['Feb 2025', 'Branded', 50, 5, 10, 1, 15, 10, 1.5, 28, false],
+    ['Feb 2025', 'Non-branded', 25, 10, 20, 2, 30, 10, 1.5, 28, false]
+  ]);
+});
+
+test('buildRawTabRows adds a Competitor segment when competitor tokens are set', function () {
+  const h = reportHarness({ competitorTokens: ['rivalbakery'] });
+  const c = h.context;
+  const segments = c.buildRawTabRows(h.config, periodData(h), RANGE).slice(1).map(function (row) { return row[1]; });
+  assert.deepEqual(plain(segments), ['Branded', 'Competitor', 'Non-branded', 'Branded', 'Competitor', 'Non-branded']);
+});
+
+test('buildRawTabRows splits Branded per brand group when there are several', function () {
+  const h = reportHarness({
+    brandGroups: [
+      { name: 'Core brand', tokens: ['foodsisters'], exclusions: [] },
+      { name: 'Product', tokens: ['sistercake'], exclusions: [] }
+    ]
+  });
+  const c = h.context;
+  const data = periodData(h);
+  data['2025-01-01'].groups['Product'] = { impressions: 7, clicks: 1, cost: 2, conversions: 0, conversionsValue: 0 };
+  const rows = plain(c.buildRawTabRows(h.config, data, RANGE));
+  assert.deepEqual(rows[1].slice(0, 3), ['Jan 2025', 'Branded - Core brand', 0]);
+  assert.deepEqual(rows[2].slice(0, 3), ['Jan 2025', 'Branded - Product', 7]);
+});
+
+test('buildBrandedRatioRows gives the branded share of each period', function () {
+  const h = reportHarness();
+  const c = h.context;
+  assert.deepEqual(plain(c.getRatioHeader(h.config)), ['Period', '% Branded']);
+  assert.deepEqual(plain(c.buildBrandedRatioRows(h.config, periodData(h), 'clicks', false)), [
+    ['Jan 2025', 0.25],
+    ['Feb 2025', 0.25]
+  ]);
+  // Derived metrics use each segment's own value
+  assert.deepEqual(plain(c.buildBrandedRatioRows(h.config, periodData(h), 'cost', false))[1], ['Feb 2025', 0.25]);
+});
+
+test('buildBrandedRatioRows adds the competitor share when competitor tokens are set', function () {
+  const h = reportHarness({ competitorTokens: ['rivalbakery'] });
+  const c = h.context;
+  assert.deepEqual(plain(c.getRatioHeader(h.config)), ['Period', '% Branded', '% Competitor']);
+  assert.deepEqual(plain(c.buildBrandedRatioRows(h.config, periodData(h), 'impressions', false)), [
+    ['Jan 2025', 0.25, 0],
+    ['Feb 2025', 0.5, 0.25]
+  ]);
+});
+
+test('buildBrandedRatioRows counts blank categories in the total when asked', function () {
+  const h = reportHarness();
+  const c = h.context;
+  const data = { '2025-01-01': c.emptyPeriodDataWithBlank(h.config) };
+  data['2025-01-01'].branded.clicks = 1;
+  data['2025-01-01'].nonBranded.clicks = 1;
+  data['2025-01-01'].blank.clicks = 2;
+  assert.deepEqual(plain(c.buildBrandedRatioRows(h.config, data, 'clicks', false)), [['Jan 2025', 0.5]]);
+  assert.deepEqual(plain(c.buildBrandedRatioRows(h.config, data, 'clicks', true)), [['Jan 2025', 0.25]]);
+});
+
+test('main writes the Info, Raw and Charts tabs in order', function () {
+  const h = createHarness({
+    configTab: [['Start Date', '2025-01-01'], ['End Date', '2025-02-28'], ['Brand Group: Core brand', 'foodsisters']],
+    fixtures: [
+      { from: 'search_term_view', rows: [searchTermRow('foodsisters', '2025-01-01', { impressions: 10, cost: 1 })] },
+      { from: 'campaign_search_term_view', rows: [pmaxTermRow('cake shop', '2025-02-01', { impressions: 20, cost: 2 })] },
+      { from: 'campaign', rows: [{ campaign: { id: '2', name: 'PMax - All' } }] },
+      {
+        from: 'campaign_search_term_insight',
+        rows: [{ campaignSearchTermInsight: { categoryLabel: 'foodsisters' }, metrics: { impressions: 5, clicks: 1, conversions: 0, conversionsValue: 0 } }]
+      }
+    ]
+  });
+  h.context.main();
+
+  const ss = h.report();
+  assert.deepEqual(ss.sheetNames(), [
+    'Info', 'Config', 'Raw - Combined', 'Raw - Search', 'Raw - Pmax', 'Raw - Pmax Categories', 'Raw - Shopping',
+    'Charts - Combined', 'Charts - Search', 'Charts - Pmax', 'Charts - Pmax Categories', 'Charts - Shopping'
+  ]);
+  assert.equal(h.logs[h.logs.length - 1], 'Script completed successfully.');
+
+  const info = {};
+  ss.getSheetByName('Info').values().forEach(function (row) { info[row[0]] = row[1]; });
+  assert.equal(info['Date Range'], '2025-01-01 to 2025-02-28');
+  assert.equal(info['Settings Source'], 'Config tab');
+
+  // Search and Shopping both read search_term_view here, so Combined holds the Search row twice
+  const combined = ss.getSheetByName('Raw - Combined').values();
+  assert.deepEqual(combined.slice(1).map(function (row) { return row.slice(0, 3); }), [
+    ['Jan 2025', 'Branded', 20],
+    ['Jan 2025', 'Non-branded', 0],
+    ['Feb 2025', 'Branded', 0],
+    ['Feb 2025', 'Non-branded', 20]
+  ]);
+
+  // Five volume metrics with a ratio chart each, plus CPA and ROAS
+  assert.equal(ss.getSheetByName('Charts - Combined').charts.length, 12);
+  assert.equal(ss.getSheetByName('Charts - Pmax Categories').charts.length, 8);
+});
+
+test('alert thresholds come from the Config tab and are listed on the Info tab', function () {
+  const h = createHarness({
+    configTab: [['Start Date', '2025-01-01'], ['End Date', '2025-02-28'], ['Channels', 'Search'], ['Brand Group: Core brand', 'foodsisters'],
+      ['Alerts Enabled', 'yes'], ['Alert Recipients', 'ppc@example.com'], ['Alert Method', 'threshold'],
+      ['Alert Branded Share Min', 'none'], ['Alert Branded Share Max', 'none'], ['Alert Branded Cost Max', '4'],
+      ['Alert Branded CPA Max', 'none'], ['Alert Branded ROAS Min', 'none']],
+    fixtures: [
+      { from: 'search_term_view', rows: [searchTermRow('foodsisters', '2025-02-01', { impressions: 10, cost: 5 })] }
+    ]
+  });
+  h.context.main();
+
+  const info = {};
+  h.report().getSheetByName('Info').values().forEach(function (row) { info[row[0]] = row[1]; });
+  assert.match(info['Alert Method'], /^threshold \(Branded cost: at most \w+ 4\.00\)$/);
+  assert.equal(h.mails.length, 1);
+  assert.match(h.mails[0].body, /- Combined, Feb 2025, Branded cost: \w+ 5\.00 \(expected at most \w+ 4\.00\)/);
+  // The in-script defaults are copied, not changed
+  assert.equal(h.context.buildDefaultConfig().alertThresholds.brandedCost.max, 5000);
+});
+
+test('alert threshold rows are checked', function () {
+  const h = createHarness({
+    configTab: [['Brand Group: Core brand', 'foodsisters'], ['Alert Branded Share Max', '40'],
+      ['Alert Branded Cost Min', '100'], ['Alert Branded Cost Max', '50'], ['Alert Branded ROAS Min', 'lots']]
+  });
+  assert.throws(function () { h.context.main(); }, new RegExp([
+    'row 6: Alert Branded ROAS Min: expected a number >= 0, got "lots"',
+    'Alert Branded Share Max is a share of cost and must be between 0 and 1 \\(0\\.4 = 40%\\)',
+    'Alert Branded Cost Min 100 is above Alert Branded Cost Max 50'
+  ].join('\n  ')));
+});
+
+test("the Ads run refuses 'day' granularity while Pmax Categories would query every day", function () {
+  const h = createHarness({ configTab: [['Time Granularity', 'day'], ['Brand Group: Core brand', 'foodsisters']] });
+  assert.throws(function () { h.context.main(); },
+    /Include Pmax Categories runs one query per day per Pmax campaign with Time Granularity 'day'/);
+  assert.equal(h.queries.length, 0);
+});
+
+test('z-score alerts leave out partial periods and ignore small changes on a flat baseline', function () {
+  const h = reportHarness({ alertsEnabled: true, alertRecipients: ['ppc@example.com'] });
+  const range = { start: '2025-01-15', end: '2025-06-30' };
+  function months(latestCost) {
+    const data = {};
+    [1, 100, 100, 100, 100, latestCost].forEach(function (cost, idx) {
+      const p = h.context.emptyPeriodData(h.config);
+      p.branded.cost = cost;
+      p.nonBranded.cost = cost;
+      data['2025-0' + (idx + 1) + '-01'] = p;
+    });
+    return data;
+  }
+  const flagged = function (latestCost) {
+    return h.context.findChannelAnomalies('Combined', months(latestCost), range).map(function (a) { return a.check.key; });
+  };
+  assert.deepEqual(plain(flagged(105)), []);
+  assert.deepEqual(plain(flagged(150)), ['brandedCost']);
+});
+
+test('Suggested Negatives skip Pmax campaigns and rows without a term', function () {
+  const h = createHarness({
+    configTab: [['Start Date', '2025-01-01'], ['End Date', '2025-01-31'], ['Channels', 'Search, Pmax, Display'],
+      ['Include Pmax Categories', 'no'], ['Brand Group: Core brand', 'foodsisters'], ['Include Suggested Negatives', 'yes']],
+    fixtures: [
+      { from: 'search_term_view', rows: [searchTermRow('foodsisters cakes', '2025-01-01', { impressions: 10, cost: 3 })] },
+      { from: 'campaign_search_term_view', rows: [pmaxTermRow('foodsisters', '2025-01-01', { impressions: 20, cost: 4 })] },
+      { from: 'keyword_view', rows: [] },
+      { from: 'campaign', rows: [{ campaign: { id: '5', name: 'Display - Prospecting' }, segments: { month: '2025-01-01' }, metrics: { costMicros: '2000000' } }] }
+    ]
+  });
+  h.context.main();
+
+  const rows = h.report().getSheetByName('Suggested Negatives').values();
+  assert.deepEqual(rows.slice(1).map(function (row) { return row.slice(0, 5); }), [
+    ['[foodsisters cakes]', 'Exact', 'Search', '1', 'Search - Generic']
+  ]);
+
+  const campaigns = {};
+  h.context.addRowToCampaigns(h.context.buildConfig({ includeSuggestedNegatives: true }), campaigns, { id: '5', name: 'Display - Prospecting' }, '', '2025-01-01',
+    { segment: 'unclassifiable', brandGroup: null }, { impressions: 0, clicks: 0, cost: 2, conversions: 0, conversionsValue: 0 });
+  assert.deepEqual(Object.keys(campaigns['5'].terms), []);
+});
+
+test('with history, account totals cover every stored period and the Comparison only the refetched one', function () {
+  const searchTerms = {
+    from: 'search_term_view',
+    rows: [
+      searchTermRow('foodsisters', '2025-01-01', { impressions: 10, cost: 10 }),
+      searchTermRow('cake shop', '2025-02-01', { impressions: 10, cost: 5 }),
+      searchTermRow('foodsisters', '2025-03-01', { impressions: 10, cost: 3 })
+    ]
+  };
+  const h = createHarness({
+    configTab: [['Start Date', '2025-01-01'], ['End Date', '2025-03-31'], ['Channels', 'Search'], ['Brand Group: Core brand', 'foodsisters'],
+      ['Use History', 'yes'], ['History Refresh Periods', '1'], ['Compare Previous Period', 'yes']],
+    fixtures: [searchTerms]
+  });
+  h.context.main();
+
+  // March settles to a higher cost; only March is refetched
+  searchTerms.rows = [searchTermRow('foodsisters', '2025-03-01', { impressions: 10, cost: 4 })];
+  const run = h.evaluate('(function () {' +
+    '  const ss = SpreadsheetApp.openById(getSheetId(SHEET_URL));' +
+    '  CONFIG = loadConfig(ss, {});' +
+    '  const result = runAnalysis(ss);' +
+    '  return { summary: buildAccountSummary(AdsApp.currentAccount(), result, ""), comparison: buildComparisonRows(result) };' +
+    '})()');
+
+  assert.equal(run.summary.dateRangeStr, '2025-01-01 to 2025-03-31');
+  assert.equal(run.summary.totalCost, 19);
+  assert.equal(run.summary.brandedCost, 14);
+  const brandedCost = run.comparison.filter(function (row) {
+    return row[0] === 'Combined' && row[1] === 'Branded' && row[2] === 'Cost';
+  })[0];
+  assert.equal(brandedCost[3], 4);
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../brand_vs_nonbrand_analysis.js');
+const { createHarness, searchTermRow, formatDate, plain } = require('./harness');
+
+const RANGE = { start: '2025-01-01', end: '2025-03-20' };
+
+function summaryConfig(overrides) {
+  return core.buildConfig(Object.assign({
+    brandGroups: [{ name: 'Core brand', tokens: ['foodsisters'], exclusions: [] }]
+  }, overrides));
+}
+
+test('isSummaryDue follows the schedule', function () {
+  assert.equal(core.isSummaryDue(summaryConfig(), '2025-03-14'), true);
+  const monthly = summaryConfig({ summarySchedule: 'monthly', summaryMonthDay: 1 });
+  assert.equal(core.isSummaryDue(monthly, '2025-03-01'), true);
+  assert.equal(core.isSummaryDue(monthly, '2025-03-02'), false);
+  // 2025-03-03 is a Monday
+  const weekly = summaryConfig({ summarySchedule: 'weekly', summaryWeekDay: 'monday' });
+  assert.equal(core.isSummaryDue(weekly, '2025-03-03'), true);
+  assert.equal(core.isSummaryDue(weekly, '2025-03-04'), false);
+  assert.throws(function () { summaryConfig({ summaryMonthDay: 31 }); }, /Summary Month Day must be between 1 and 28/);
+  assert.throws(function () { summaryConfig({ summaryEmailEnabled: true }); }, /needs at least one Summary Recipients address/);
+});
+
+test('buildSummaryViews compares the latest complete period with the one before', function () {
+  const config = summaryConfig();
+  const periodData = {};
+  ['2025-01-01', '2025-02-01', '2025-03-01'].forEach(function (periodKey, i) {
+    periodData[periodKey] = core.emptyPeriodData(config);
+    Object.assign(periodData[periodKey].branded, { cost: 10 * (i + 1), conversions: i + 1 });
+    Object.assign(periodData[periodKey].nonBranded, { cost: 30 });
+  });
+  const views = core.buildSummaryViews(config, { periodData: periodData }, null, RANGE);
+
+  assert.equal(views.length, 1);
+  // March ends after the range, so February is the latest complete period
+  assert.equal(views[0].latest.label, 'Feb 2025');
+  assert.equal(views[0].previous.label, 'Jan 2025');
+  assert.equal(views[0].range.totals.branded.cost, 60);
+  assert.deepEqual(views[0].segments.map(function (segment) { return segment.label; }), ['Branded', 'Non-branded']);
+  assert.deepEqual(views[0].shareRows.map(function (row) { return row[1]; }), [0.25, 0.4, 0.5]);
+});
+
+function summaryHarness(configTab) {
+  return createHarness({
+    configTab: [['Start Date', '2025-01-01'], ['End Date', '2025-02-28'], ['Channels', 'Search'],
+      ['Brand Group: Core brand', 'foodsisters'], ['Summary Email Enabled', 'yes'],
+      ['Summary Recipients', 'leads@example.com, cmo@example.com']].concat(configTab),
+    fixtures: [{
+      from: 'search_term_view',
+      rows: [
+        searchTermRow('foodsisters', '2025-01-01', { cost: 10, conversions: 2 }),
+        searchTermRow('cake shop', '2025-01-01', { cost: 30, conversions: 1 }),
+        searchTermRow('foodsisters', '2025-02-01', { cost: 20, conversions: 2 }),
+        searchTermRow('cake shop', '2025-02-01', { cost: 20 })
+      ]
+    }]
+  });
+}
+
+test('main emails the HTML summary with sparklines and a link to the sheet', function () {
+  const weekDay = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'][new Date().getUTCDay()];
+  const h = summaryHarness([['Summary Schedule', 'weekly'], ['Summary Week Day', weekDay]]);
+  h.context.main();
+
+  assert.equal(h.mails.length, 1);
+  const mail = h.mails[0];
+  assert.equal(mail.to, 'leads@example.com,cmo@example.com');
+  assert.equal(mail.subject, 'Brand vs non-brand summary: Test Account (Feb 2025)');
+  assert.deepEqual(Object.keys(mail.inlineImages), ['share0', 'share1']);
+  assert.deepEqual(plain(mail.inlineImages.share0.chart.dataTable.rows), [['Jan 2025', 0.25], ['Feb 2025', 0.5]]);
+  assert.match(mail.htmlBody, /<h3[^>]*>Search<\/h3>/);
+  assert.match(mail.htmlBody, /Branded share of cost: <b>50\.0%<\/b> in Feb 2025 \(\+25\.0 pts vs Jan 2025\), 37\.5% over the range/);
+  assert.match(mail.htmlBody, /<img src="cid:share0"/);
+  // Branded cost doubled, non-branded cost fell by a third
+  assert.match(mail.htmlBody, />\+100\.0%<\/td><td[^>]*>-33\.3%</);
+  assert.match(mail.htmlBody, /<a href="https:\/\/docs\.google\.com\/spreadsheets\/d\/[^"]+">Open the full report<\/a>/);
+});
+
+test('main skips the summary on days the schedule leaves out', function () {
+  const today = Number(formatDate(new Date(), 'UTC', 'dd'));
+  const h = summaryHarness([['Summary Schedule', 'monthly'], ['Summary Month Day', (today % 28) + 1]]);
+  h.context.main();
+  assert.equal(h.mails.length, 0);
+  assert.ok(h.logs.indexOf('[Summary] Not sent: schedule is monthly, on day ' + ((today % 28) + 1) + '.') !== -1);
+});